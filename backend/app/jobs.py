@@ -0,0 +1,178 @@
+import multiprocessing
+import time
+from concurrent.futures import ThreadPoolExecutor
+from datetime import datetime, timezone
+
+from flask import current_app
+from sqlalchemy.exc import SQLAlchemyError
+
+from app.models import TSPJob, TSPRun
+from app.extensions import db
+import app.utils as utils
+
+
+# How often a running job checks whether it was cancelled, in seconds
+POLL_INTERVAL = 0.5
+
+_executor = None
+
+
+def utc_now():
+    """The current time in UTC, without a timezone, as the job timestamps are stored."""
+    return datetime.now(timezone.utc).replace(tzinfo=None)
+
+
+def submit_job(job):
+    """
+    Queue a TSP job to run in the background.
+    Jobs run a few at a time, as set by TSP_JOB_WORKERS; the rest wait their turn.
+    """
+    global _executor
+    if _executor is None:
+        _executor = ThreadPoolExecutor(max_workers=current_app.config['TSP_JOB_WORKERS'])
+
+    _executor.submit(_run_job, current_app._get_current_object(), job.id)
+
+
+def fail_stale_jobs():
+    """
+    Mark the jobs a previous run of the app left queued or running as failed.
+    Jobs only run in the process that queued them, so after a restart or crash
+    nothing would ever finish them. Called by run.py when the server starts, in an
+    app context; never from create_app, which CLI commands and workers also run.
+    """
+    try:
+        TSPJob.query.filter(TSPJob.status.in_(TSPJob.ACTIVE_STATUSES)).update({
+            "status": TSPJob.FAILED,
+            "error": "The server restarted before the job finished",
+            "finished_at": utc_now()
+        }, synchronize_session=False)
+        db.session.commit()
+    except SQLAlchemyError:
+        # The jobs table doesn't exist until the migrations have been run
+        db.session.rollback()
+
+
+def serialize_job(job):
+    """The job as the API returns it, with how many queued jobs are ahead of it and how long it has run."""
+    position = None
+    if job.status == TSPJob.QUEUED:
+        position = TSPJob.query.filter(TSPJob.status == TSPJob.QUEUED, TSPJob.id < job.id).count()
+
+    elapsed = None
+    if job.started_at:
+        elapsed = ((job.finished_at or utc_now()) - job.started_at).total_seconds()
+
+    return {
+        "id": job.id,
+        "graph_id": job.graph_id,
+        "algorithm": job.algorithm,
+        "parameters": job.parameters,
+        "status": job.status,
+        "error": job.error,
+        "position": position,
+        "elapsed": elapsed,
+        "tsp_run_id": job.tsp_run_id,
+        "created_at": job.created_at
+    }
+
+
+def _solve(graph_data, algorithm, parameters, conn):
+    """
+    Solve the TSP in a child process, so that cancelling a job can stop the solver.
+    Sends back ('ok', path, cost, seconds) or ('error', message).
+    """
+    try:
+        G = utils.build_graph(graph_data)
+        start_time = time.time()
+        tsp_path = utils.traveling_salesman_path(G, algorithm, parameters)
+        end_time = time.time()
+        conn.send(('ok', tsp_path, utils.get_path_cost(G, tsp_path), end_time - start_time))
+    except Exception as e:
+        conn.send(('error', str(e)))
+    finally:
+        conn.close()
+
+
+def _is_stopped(job_id):
+    """
+    Whether the job is no longer running: cancelled, failed by fail_stale_jobs,
+    deleted along with its graph, or ended in any other way.
+    """
+    db.session.expire_all()
+    job = db.session.get(TSPJob, job_id)
+    return job is None or job.status != TSPJob.RUNNING
+
+
+def _finish(job_id, status, error=None, tsp_run=None):
+    """
+    Record how a running job ended, and store its TSP run. Nothing is written if the
+    job stopped running meanwhile, so a job the client was told ended stays that way.
+    """
+    values = {"status": status, "error": error, "finished_at": utc_now()}
+    if tsp_run is not None:
+        db.session.add(tsp_run)
+        db.session.flush()
+        values["tsp_run_id"] = tsp_run.id
+
+    finished = TSPJob.query.filter_by(id=job_id, status=TSPJob.RUNNING).update(values, synchronize_session=False)
+    if finished:
+        db.session.commit()
+    else:
+        db.session.rollback()
+
+
+def _run_job(app, job_id):
+    """Run a queued job, store its result as a TSP run and record how it ended."""
+    with app.app_context():
+        # Only a job still queued is started; one cancelled while it waited is left alone
+        started = TSPJob.query.filter_by(id=job_id, status=TSPJob.QUEUED).update(
+            {"status": TSPJob.RUNNING, "started_at": utc_now()}, synchronize_session=False
+        )
+        db.session.commit()
+        if not started:
+            return
+        job = db.session.get(TSPJob, job_id)
+
+        context = multiprocessing.get_context('spawn')
+        parent_conn, child_conn = context.Pipe(duplex=False)
+        process = context.Process(target=_solve, args=(job.graph.data, job.algorithm, job.parameters, child_conn), daemon=True)
+
+        try:
+            process.start()
+            child_conn.close()
+
+            # Wait for the result, stopping the solver if the job is cancelled or failed meanwhile
+            while not parent_conn.poll(POLL_INTERVAL):
+                if _is_stopped(job_id):
+                    process.terminate()
+                    return
+                if not process.is_alive() and not parent_conn.poll():
+                    raise RuntimeError("The solver stopped unexpectedly")
+
+            result = parent_conn.recv()
+            if _is_stopped(job_id):
+                return
+
+            job = db.session.get(TSPJob, job_id)
+            if result[0] == 'error':
+                _finish(job_id, TSPJob.FAILED, error=result[1])
+                return
+
+            _, tsp_path, cost, time_to_calculate = result
+            tsp_run = TSPRun(
+                graph_id=job.graph_id,
+                algorithm=job.algorithm,
+                parameters=job.parameters,
+                path=tsp_path,
+                cost=cost,
+                time_to_calculate=time_to_calculate
+            )
+            _finish(job_id, TSPJob.COMPLETED, tsp_run=tsp_run)
+        except Exception as e:
+            db.session.rollback()
+            _finish(job_id, TSPJob.FAILED, error=str(e))
+        finally:
+            if process.pid is not None:
+                process.join()
+            parent_conn.close()
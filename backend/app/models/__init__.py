@@ -1,5 +1,6 @@
 from .user import User
 from .graph import Graph
 from .tsp_run import TSPRun
+from .tsp_job import TSPJob
 
-__all__ = ["User", "Graph", "TSPRun"]
+__all__ = ["User", "Graph", "TSPRun", "TSPJob"]
@@ -9,6 +9,7 @@ class Graph(BaseModel):
     data = db.Column(db.JSON, nullable=False)
 
     tspruns = db.relationship('TSPRun', backref='graph', lazy='dynamic', cascade='all, delete-orphan')
+    tspjobs = db.relationship('TSPJob', backref='graph', lazy='dynamic', cascade='all, delete-orphan')
 
     def __repr__(self):
         return f'<Graph {self.name}>'
@@ -0,0 +1,26 @@
+from .base import BaseModel
+from app.extensions import db
+
+class TSPJob(BaseModel):
+    __tablename__ = 'tspjobs'
+
+    QUEUED = 'queued'
+    RUNNING = 'running'
+    COMPLETED = 'completed'
+    FAILED = 'failed'
+    CANCELLED = 'cancelled'
+    ACTIVE_STATUSES = (QUEUED, RUNNING)
+
+    graph_id = db.Column(db.Integer, db.ForeignKey('graphs.id'), nullable=False)
+    algorithm = db.Column(db.String(50), nullable=False)
+    # Checked and completed with the defaults when the job is submitted
+    parameters = db.Column(db.JSON, nullable=True)
+    status = db.Column(db.String(20), nullable=False, default=QUEUED)
+    error = db.Column(db.Text, nullable=True)
+    # Set in UTC by the job runner, so the elapsed time doesn't depend on the database's clock
+    started_at = db.Column(db.DateTime, nullable=True)
+    finished_at = db.Column(db.DateTime, nullable=True)
+    tsp_run_id = db.Column(db.Integer, db.ForeignKey('tspruns.id', ondelete='SET NULL'), nullable=True)
+
+    def __repr__(self):
+        return f'<TSPJob {self.id} for Graph {self.graph_id} using {self.algorithm}: {self.status}>'
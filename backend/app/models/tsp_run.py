@@ -9,6 +9,8 @@ class TSPRun(BaseModel):
     path = db.Column(db.JSON, nullable=False)
     cost = db.Column(db.Float, nullable=False)
     time_to_calculate = db.Column(db.Float, nullable=False)
+    # The solver parameters the run was made with, defaults included; None for runs made before they were stored
+    parameters = db.Column(db.JSON, nullable=True)
 
     def __repr__(self):
         return f'<TSPRun {self.id} for Graph {self.graph_id} using {self.algorithm}>'
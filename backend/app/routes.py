@@ -1,11 +1,13 @@
 import networkx as nx
 from flask import Blueprint, jsonify, request
 from flask_jwt_extended import jwt_required, get_jwt_identity, create_access_token
+import json
 import time
 
-from app.models import User, Graph, TSPRun
+from app.models import User, Graph, TSPRun, TSPJob
 from app.extensions import db
 import app.utils as utils
+import app.jobs as jobs
 
 
 api_bp = Blueprint('api', __name__)
@@ -154,6 +156,12 @@ def update_user_graph(graph_id):
         # Delete all associated TSP results before updating the graph
         TSPRun.query.filter_by(graph_id=graph_id).delete()
 
+        # Jobs still solving the old graph are cancelled
+        TSPJob.query.filter(
+            TSPJob.graph_id == graph_id,
+            TSPJob.status.in_(TSPJob.ACTIVE_STATUSES)
+        ).update({"status": TSPJob.CANCELLED, "finished_at": jobs.utc_now()}, synchronize_session=False)
+
         # Update the name field if present in the request
         if 'name' in data['data']:
             graph.name = data['data']['name']
@@ -193,6 +201,12 @@ def delete_user_graph(graph_id):
         return jsonify({"error": str(e)}), 500
 
 
+@api_bp.route('/api/tsp/parameters', methods=['GET'])
+def get_tsp_parameters():
+    """Get the parameters each TSP method accepts, with what values they take and their defaults."""
+    return jsonify(utils.describe_tsp_parameters()), 200
+
+
 @api_bp.route('/api/graphs/<int:graph_id>/tsp', methods=['GET'])
 @jwt_required()
 def get_graph_tsp(graph_id):
@@ -206,23 +220,33 @@ def get_graph_tsp(graph_id):
     algo = request.args.get('algo', 'asadpour')
 
     try:
-        G = nx.DiGraph()
-        G.add_weighted_edges_from(
-            [(edge['from'], edge['to'], edge['weight']) for edge in graph.data['edges']]
-        )
+        params = json.loads(request.args.get('params', '{}'))
+    except ValueError:
+        return jsonify({"error": "'params' must be a JSON object"}), 400
+    if not isinstance(params, dict):
+        return jsonify({"error": "'params' must be a JSON object"}), 400
+
+    try:
+        G = utils.build_graph(graph.data)
         if len(G.nodes) < 3:
             return jsonify({"error": "Graph must have at least 3 nodes"}), 400
         if not nx.is_strongly_connected(G):
             return jsonify({"error": "Graph must be strongly connected"}), 400
 
+        try:
+            parameters = utils.resolve_tsp_parameters(G, algo, params)
+        except (ValueError, TypeError) as e:
+            return jsonify({"error": str(e)}), 400
+
         start_time = time.time()
-        tsp_path = utils.traveling_salesman_path(G, algo)
+        tsp_path = utils.traveling_salesman_path(G, algo, parameters)
         end_time = time.time()
         cost = utils.get_path_cost(G, tsp_path)
 
         tsp_run = TSPRun(
             graph_id=graph.id,
             algorithm=algo,
+            parameters=parameters,
             path=tsp_path,
             cost=cost,
             time_to_calculate=end_time - start_time
@@ -232,6 +256,7 @@ def get_graph_tsp(graph_id):
 
         return jsonify({
             "tsp_path": tsp_path,
+            "parameters": parameters,
             "cost": cost,
             "time_to_calculate": end_time - start_time
         }), 200
@@ -240,6 +265,118 @@ def get_graph_tsp(graph_id):
         return jsonify({"error": str(e)}), 500
 
 
+@api_bp.route('/api/graphs/<int:graph_id>/tsp/jobs', methods=['POST'])
+@jwt_required()
+def create_graph_tsp_job(graph_id):
+    """Queue a TSP job for a specific graph. The result is stored as a TSP run when the job completes."""
+    user_id = get_jwt_identity()
+    graph = Graph.query.filter_by(user_id=user_id, id=graph_id).first()
+
+    if not graph:
+        return jsonify({"error": "Graph not found"}), 404
+
+    data = request.get_json(silent=True)
+    # An empty body runs asadpour with its defaults; one that isn't JSON is an error
+    if data is None and not request.get_data():
+        data = {}
+    if not isinstance(data, dict):
+        return jsonify({"error": "The request body must be a JSON object"}), 400
+    if not isinstance(data.get('parameters') or {}, dict):
+        return jsonify({"error": "'parameters' must be a JSON object"}), 400
+    algo = data.get('algorithm', 'asadpour')
+
+    try:
+        G = utils.build_graph(graph.data)
+        if len(G.nodes) < 3:
+            return jsonify({"error": "Graph must have at least 3 nodes"}), 400
+        if not nx.is_strongly_connected(G):
+            return jsonify({"error": "Graph must be strongly connected"}), 400
+
+        try:
+            parameters = utils.resolve_tsp_parameters(G, algo, data.get('parameters'))
+        except (ValueError, TypeError) as e:
+            return jsonify({"error": str(e)}), 400
+
+        job = TSPJob(graph_id=graph.id, algorithm=algo, parameters=parameters, status=TSPJob.QUEUED)
+        db.session.add(job)
+        db.session.commit()
+
+        jobs.submit_job(job)
+        return jsonify(jobs.serialize_job(job)), 202
+    except Exception as e:
+        db.session.rollback()
+        return jsonify({"error": str(e)}), 500
+
+
+@api_bp.route('/api/graphs/<int:graph_id>/tsp/jobs', methods=['GET'])
+@jwt_required()
+def get_graph_tsp_jobs(graph_id):
+    """Get the queued and running TSP jobs for a specific graph."""
+    user_id = get_jwt_identity()
+    graph = Graph.query.filter_by(user_id=user_id, id=graph_id).first()
+
+    if not graph:
+        return jsonify({"error": "Graph not found"}), 404
+
+    try:
+        tsp_jobs = TSPJob.query.filter(
+            TSPJob.graph_id == graph.id,
+            TSPJob.status.in_(TSPJob.ACTIVE_STATUSES)
+        ).order_by(TSPJob.id).all()
+        return jsonify([jobs.serialize_job(job) for job in tsp_jobs]), 200
+    except Exception as e:
+        return jsonify({"error": str(e)}), 500
+
+
+@api_bp.route('/api/graphs/<int:graph_id>/tsp/jobs/<int:job_id>', methods=['GET'])
+@jwt_required()
+def get_graph_tsp_job(graph_id, job_id):
+    """Get a specific TSP job for a specific graph, including how it ended."""
+    user_id = get_jwt_identity()
+    graph = Graph.query.filter_by(user_id=user_id, id=graph_id).first()
+
+    if not graph:
+        return jsonify({"error": "Graph not found"}), 404
+
+    job = TSPJob.query.filter_by(graph_id=graph.id, id=job_id).first()
+
+    if not job:
+        return jsonify({"error": "TSP job not found"}), 404
+
+    try:
+        return jsonify(jobs.serialize_job(job)), 200
+    except Exception as e:
+        return jsonify({"error": str(e)}), 500
+
+
+@api_bp.route('/api/graphs/<int:graph_id>/tsp/jobs/<int:job_id>/cancel', methods=['POST'])
+@jwt_required()
+def cancel_graph_tsp_job(graph_id, job_id):
+    """Cancel a queued or running TSP job. A running solver is stopped within a second."""
+    user_id = get_jwt_identity()
+    graph = Graph.query.filter_by(user_id=user_id, id=graph_id).first()
+
+    if not graph:
+        return jsonify({"error": "Graph not found"}), 404
+
+    job = TSPJob.query.filter_by(graph_id=graph.id, id=job_id).first()
+
+    if not job:
+        return jsonify({"error": "TSP job not found"}), 404
+
+    if job.status not in TSPJob.ACTIVE_STATUSES:
+        return jsonify({"error": f"TSP job already {job.status}"}), 409
+
+    try:
+        job.status = TSPJob.CANCELLED
+        job.finished_at = jobs.utc_now()
+        db.session.commit()
+        return jsonify(jobs.serialize_job(job)), 200
+    except Exception as e:
+        db.session.rollback()
+        return jsonify({"error": str(e)}), 500
+
+
 @api_bp.route('/api/graphs/<int:graph_id>/tsp/runs', methods=['GET'])
 @jwt_required()
 def get_graph_tsp_runs(graph_id):
@@ -255,6 +392,7 @@ def get_graph_tsp_runs(graph_id):
         runs_data = [{
             "id": run.id,
             "algorithm": run.algorithm,
+            "parameters": run.parameters,
             "path": run.path,
             "cost": run.cost,
             "time_to_calculate": run.time_to_calculate,
@@ -327,6 +465,7 @@ def get_graph_tsp_run(graph_id, run_id):
         run_data = {
             "id": tsp_run.id,
             "algorithm": tsp_run.algorithm,
+            "parameters": tsp_run.parameters,
             "path": tsp_run.path,
             "cost": tsp_run.cost,
             "time_to_calculate": tsp_run.time_to_calculate,
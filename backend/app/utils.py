@@ -1,6 +1,25 @@
+import random
+
 import networkx as nx
 
 
+def build_graph(graph_data):
+    """
+    Build the DiGraph the TSP solvers run on from a stored graph.
+    Edges of undirected graphs, and edges marked bidirectional, are added in
+    both directions. Graphs saved before the 'directed' flag existed are directed.
+    """
+    directed = graph_data.get('directed', True)
+    G = nx.DiGraph()
+
+    for edge in graph_data['edges']:
+        G.add_edge(edge['from'], edge['to'], weight=edge['weight'])
+        if not directed or edge.get('bidirectional', False):
+            G.add_edge(edge['to'], edge['from'], weight=edge['weight'])
+
+    return G
+
+
 def find_shortest_path(graph, source, target, algorithm='dijkstra'):
   
     if algorithm == 'dijkstra':
@@ -13,25 +32,149 @@ def find_shortest_path(graph, source, target, algorithm='dijkstra'):
         raise ValueError("Invalid algorithm. Choose 'dijkstra', 'astar', or 'bidirectional'.")
 
 
+# The parameters each TSP method accepts, and the values used when one isn't given.
+# A seed of None picks a random one, and a source of None lets the solver start anywhere.
+TSP_PARAMETERS = {
+    'greedy': {'source': None},
+    'simulated_annealing': {
+        'max_iterations': 500, 'N_inner': 100, 'temp': 100, 'alpha': 0.01,
+        'init_cycle': 'greedy', 'seed': None, 'source': None
+    },
+    'threshold_accepting': {
+        'max_iterations': 500, 'N_inner': 100, 'threshold': 1, 'alpha': 0.1,
+        'init_cycle': 'greedy', 'seed': None, 'source': None
+    },
+    'asadpour': {'seed': None, 'source': None},
+}
+
+INITIAL_CYCLES = ('greedy', 'random')
+
+# What each parameter may be: whole numbers of at least 'min', numbers strictly
+# between 'above' and 'below', one of 'options', or a node of the graph
+PARAMETER_SCHEMA = {
+    'max_iterations': {'type': 'integer', 'min': 1},
+    'N_inner': {'type': 'integer', 'min': 1},
+    'temp': {'type': 'number', 'above': 0},
+    'threshold': {'type': 'number', 'above': 0},
+    'alpha': {'type': 'number', 'above': 0, 'below': 1},
+    'init_cycle': {'type': 'choice', 'options': list(INITIAL_CYCLES)},
+    'seed': {'type': 'integer', 'min': 0},
+    'source': {'type': 'node'},
+}
+
+
+def describe_tsp_parameters():
+    """Each TSP method's parameters with their schema and default, as the API serves them."""
+    return {
+        method: {name: {**PARAMETER_SCHEMA[name], 'default': default} for name, default in defaults.items()}
+        for method, defaults in TSP_PARAMETERS.items()
+    }
+
+
+def _check_parameter(graph, name, value):
+    """Raise a ValueError if the value isn't one PARAMETER_SCHEMA allows for the parameter."""
+    schema = PARAMETER_SCHEMA[name]
+    is_number = isinstance(value, (int, float)) and not isinstance(value, bool)
+
+    if schema['type'] == 'integer':
+        if not is_number or not isinstance(value, int) or value < schema['min']:
+            raise ValueError(f"'{name}' must be a whole number of at least {schema['min']}.")
+    elif schema['type'] == 'number':
+        if 'below' in schema:
+            if not is_number or not schema['above'] < value < schema['below']:
+                raise ValueError(f"'{name}' must be a number between {schema['above']} and {schema['below']}.")
+        elif not is_number or value <= schema['above']:
+            raise ValueError(f"'{name}' must be a number greater than {schema['above']}.")
+    elif schema['type'] == 'choice':
+        if value not in schema['options']:
+            options = ' or '.join(f"'{option}'" for option in schema['options'])
+            raise ValueError(f"'{name}' must be {options}.")
+    elif schema['type'] == 'node':
+        # Lists and dicts can't be looked up in the graph at all
+        if not isinstance(value, (str, int)) or isinstance(value, bool) or value not in graph:
+            raise ValueError(f"The start node '{value}' is not in the graph.")
+
+
+def resolve_tsp_parameters(graph, method, parameters=None):
+    """
+    Check the parameters given for a TSP method against the graph and fill in the rest
+    with their defaults. Raises a ValueError naming the first parameter that is wrong.
+    """
+    if method not in TSP_PARAMETERS:
+        raise ValueError("Invalid TSP method. Choose 'greedy', 'simulated_annealing', 'threshold_accepting', or 'asadpour'.")
+
+    resolved = dict(TSP_PARAMETERS[method])
+    for name, value in (parameters or {}).items():
+        if name not in resolved:
+            raise ValueError(f"'{name}' is not a parameter of {method}.")
+        if value is None:
+            continue
+
+        _check_parameter(graph, name, value)
+        resolved[name] = value
+
+    return resolved
+
+
 #Link for traveling_salesman_problem function in NetworkX: https://networkx.org/documentation/stable/reference/algorithms/generated/networkx.algorithms.approximation.traveling_salesman.traveling_salesman_problem.html#networkx.algorithms.approximation.traveling_salesman.traveling_salesman_problem
-def traveling_salesman_path(graph, method='greedy'):
-   
+def traveling_salesman_path(graph, method='greedy', parameters=None):
+    """
+    Solve the TSP on a graph with one of the TSP_PARAMETERS methods.
+    The parameters are checked and completed with resolve_tsp_parameters.
+    """
+    params = resolve_tsp_parameters(graph, method, parameters)
     c_graph = complete_graph(graph)
+    source = params['source']
+
     if method == 'greedy':
-        tsp_path = nx.approximation.greedy_tsp(c_graph, weight="weight")
-    elif method == 'simulated_annealing':
-        tsp_path = nx.approximation.simulated_annealing_tsp(c_graph, init_cycle="greedy",  weight="weight", max_iterations=500)
-    elif method == 'threshold_accepting':
-        tsp_path = nx.approximation.threshold_accepting_tsp(c_graph, init_cycle="greedy",weight="weight", max_iterations=500)
-    elif method == 'asadpour':
-        tsp_path = nx.approximation.traveling_salesman_problem(c_graph, weight='weight', cycle=True)
+        tsp_path = nx.approximation.greedy_tsp(c_graph, weight="weight", source=source)
+    elif method in ('simulated_annealing', 'threshold_accepting'):
+        if params['init_cycle'] == 'random':
+            init_cycle = random_cycle(c_graph, source, params['seed'])
+        else:
+            init_cycle = 'greedy'
+
+        if method == 'simulated_annealing':
+            tsp_path = nx.approximation.simulated_annealing_tsp(
+                c_graph, init_cycle, weight="weight", source=source, temp=params['temp'],
+                max_iterations=params['max_iterations'], N_inner=params['N_inner'],
+                alpha=params['alpha'], seed=params['seed']
+            )
+        else:
+            tsp_path = nx.approximation.threshold_accepting_tsp(
+                c_graph, init_cycle, weight="weight", source=source, threshold=params['threshold'],
+                max_iterations=params['max_iterations'], N_inner=params['N_inner'],
+                alpha=params['alpha'], seed=params['seed']
+            )
     else:
-        raise ValueError("Invalid TSP method. Choose 'greedy', 'simulated_annealing', 'threshold_accepting', or 'asadpour'.")
+        # The solver is wrapped so that the seed and start node reach it
+        def asadpour(G, weight):
+            return nx.approximation.asadpour_atsp(G, weight=weight, seed=params['seed'], source=source)
+
+        tsp_path = nx.approximation.traveling_salesman_problem(c_graph, weight='weight', cycle=True, method=asadpour)
+        if source is not None:
+            tsp_path = rotate_cycle(tsp_path, source)
 
     real_path = reconstruct_path(graph,tsp_path)
     return real_path
 
 
+def random_cycle(graph, source=None, seed=None):
+    """A cycle through every node of a complete graph in a random order, from source if one is given."""
+    nodes = list(graph.nodes)
+    random.Random(seed).shuffle(nodes)
+    if source is not None:
+        nodes.remove(source)
+        nodes.insert(0, source)
+    return nodes + [nodes[0]]
+
+
+def rotate_cycle(cycle, start):
+    """The same cycle, starting and ending at start."""
+    index = cycle.index(start)
+    return cycle[index:-1] + cycle[:index] + [start]
+
+
 def complete_graph(graph):
     nodes = list(graph.nodes)
     complete_graph = graph.copy()
@@ -15,4 +15,6 @@ class Config:
 
     expires_in = os.getenv('JWT_ACCESS_TOKEN_EXPIRES')
     JWT_ACCESS_TOKEN_EXPIRES = timedelta(hours=int(expires_in)) if expires_in else timedelta(hours=1)  # Default to 1 hour
-    
\ No newline at end of file
+
+    # How many TSP jobs run at once; the rest are queued
+    TSP_JOB_WORKERS = int(os.getenv('TSP_JOB_WORKERS', 2))
@@ -0,0 +1,42 @@
+"""add tsp jobs table
+
+Revision ID: 7c2e9d41b8a3
+Revises: fa3cf5ae8ffe
+Create Date: 2025-05-02 10:12:41.530318
+
+"""
+from alembic import op
+import sqlalchemy as sa
+
+
+# revision identifiers, used by Alembic.
+revision = '7c2e9d41b8a3'
+down_revision = 'fa3cf5ae8ffe'
+branch_labels = None
+depends_on = None
+
+
+def upgrade():
+    # ### commands auto generated by Alembic - please adjust! ###
+    op.create_table('tspjobs',
+    sa.Column('graph_id', sa.Integer(), nullable=False),
+    sa.Column('algorithm', sa.String(length=50), nullable=False),
+    sa.Column('status', sa.String(length=20), nullable=False),
+    sa.Column('error', sa.Text(), nullable=True),
+    sa.Column('started_at', sa.DateTime(), nullable=True),
+    sa.Column('finished_at', sa.DateTime(), nullable=True),
+    sa.Column('tsp_run_id', sa.Integer(), nullable=True),
+    sa.Column('id', sa.Integer(), autoincrement=True, nullable=False),
+    sa.Column('created_at', sa.DateTime(), nullable=True),
+    sa.Column('updated_at', sa.DateTime(), nullable=True),
+    sa.ForeignKeyConstraint(['graph_id'], ['graphs.id'], ),
+    sa.ForeignKeyConstraint(['tsp_run_id'], ['tspruns.id'], ondelete='SET NULL'),
+    sa.PrimaryKeyConstraint('id')
+    )
+    # ### end Alembic commands ###
+
+
+def downgrade():
+    # ### commands auto generated by Alembic - please adjust! ###
+    op.drop_table('tspjobs')
+    # ### end Alembic commands ###
@@ -0,0 +1,38 @@
+"""add parameters to tsp runs and jobs
+
+Revision ID: b41f6a0e9c27
+Revises: 7c2e9d41b8a3
+Create Date: 2025-05-06 15:48:09.117264
+
+"""
+from alembic import op
+import sqlalchemy as sa
+
+
+# revision identifiers, used by Alembic.
+revision = 'b41f6a0e9c27'
+down_revision = '7c2e9d41b8a3'
+branch_labels = None
+depends_on = None
+
+
+def upgrade():
+    # ### commands auto generated by Alembic - please adjust! ###
+    with op.batch_alter_table('tspjobs', schema=None) as batch_op:
+        batch_op.add_column(sa.Column('parameters', sa.JSON(), nullable=True))
+
+    with op.batch_alter_table('tspruns', schema=None) as batch_op:
+        batch_op.add_column(sa.Column('parameters', sa.JSON(), nullable=True))
+
+    # ### end Alembic commands ###
+
+
+def downgrade():
+    # ### commands auto generated by Alembic - please adjust! ###
+    with op.batch_alter_table('tspruns', schema=None) as batch_op:
+        batch_op.drop_column('parameters')
+
+    with op.batch_alter_table('tspjobs', schema=None) as batch_op:
+        batch_op.drop_column('parameters')
+
+    # ### end Alembic commands ###
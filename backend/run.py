@@ -1,7 +1,11 @@
 from app import create_app
+from app.jobs import fail_stale_jobs
 
 app = create_app()
 
 if __name__ == '__main__':
+    # Jobs that were running when the server last stopped will never finish
+    with app.app_context():
+        fail_stale_jobs()
     app.run(debug=True)
     
\ No newline at end of file
@@ -0,0 +1,79 @@
+"""
+Fixtures for the API tests: an app on a throwaway SQLite database, a test client,
+and logged-in users with graphs to solve.
+"""
+
+import pytest
+
+import app.jobs as jobs
+from app import create_app
+from app.extensions import db
+from app.models import Graph
+
+
+# Every pair of nodes is connected both ways, so any solver finds a tour
+SQUARE_GRAPH = {
+    "directed": False,
+    "nodes": [{"label": label} for label in "ABCD"],
+    "edges": [
+        {"from": "A", "to": "B", "weight": 1},
+        {"from": "B", "to": "C", "weight": 2},
+        {"from": "C", "to": "D", "weight": 1},
+        {"from": "D", "to": "A", "weight": 2},
+        {"from": "A", "to": "C", "weight": 3},
+        {"from": "B", "to": "D", "weight": 3},
+    ],
+}
+
+
+@pytest.fixture
+def app(tmp_path):
+    # A file rather than :memory:, so job worker threads see the same database
+    app = create_app({
+        "TESTING": True,
+        "SQLALCHEMY_DATABASE_URI": f"sqlite:///{tmp_path / 'test.db'}",
+        "JWT_SECRET_KEY": "test-secret-key-that-is-long-enough-for-hs256",
+        "TSP_JOB_WORKERS": 1,
+    })
+
+    with app.app_context():
+        db.create_all()
+        yield app
+        db.session.remove()
+        db.drop_all()
+
+
+@pytest.fixture
+def client(app):
+    return app.test_client()
+
+
+@pytest.fixture
+def login(client):
+    """Register a user and log them in; returns the Authorization headers."""
+    def login(username):
+        client.post('/api/register', json={"username": username, "password": "password"})
+        response = client.post('/api/login', json={"username": username, "password": "password"})
+        return {"Authorization": f"Bearer {response.get_json()['access_token']}"}
+
+    return login
+
+
+@pytest.fixture
+def auth(login):
+    return login("alice")
+
+
+@pytest.fixture
+def graph(client, auth):
+    """A graph of alice's that every TSP method can solve."""
+    response = client.post('/api/graphs', json={"name": "Square", "data": SQUARE_GRAPH}, headers=auth)
+    return db.session.get(Graph, response.get_json()['graph_id'])
+
+
+@pytest.fixture
+def submitted(monkeypatch):
+    """Keep submitted jobs queued instead of running them; returns their ids."""
+    ids = []
+    monkeypatch.setattr(jobs, "submit_job", lambda job: ids.append(job.id))
+    return ids
@@ -0,0 +1,239 @@
+"""
+The TSP job queue: submitting, checking on and cancelling jobs through the API,
+the background runner, and recovering jobs left behind by a restart.
+"""
+
+import threading
+import time
+
+import pytest
+
+import app.jobs as jobs
+from app import create_app
+from app.extensions import db
+from app.models import Graph, TSPJob, TSPRun
+
+
+# Enough simulated annealing on this graph to keep a job running until it is stopped
+SLOW_PARAMETERS = {"max_iterations": 1000000, "N_inner": 1000}
+
+
+def slow_graph_data(size=30):
+    nodes = [str(i) for i in range(size)]
+    return {
+        "directed": False,
+        "nodes": [{"label": node} for node in nodes],
+        "edges": [
+            {"from": a, "to": b, "weight": (int(a) * 7 + int(b) * 3) % 11 + 1}
+            for i, a in enumerate(nodes) for b in nodes[i + 1:]
+        ],
+    }
+
+
+def add_job(graph, status=TSPJob.QUEUED, algorithm="greedy"):
+    job = TSPJob(graph_id=graph.id, algorithm=algorithm, parameters={"source": None}, status=status)
+    db.session.add(job)
+    db.session.commit()
+    return job
+
+
+def reload(job_id):
+    db.session.expire_all()
+    return db.session.get(TSPJob, job_id)
+
+
+def start_job(app, graph, parameters):
+    """Run a job in a worker thread, as submit_job would, and wait for it to start solving."""
+    job = TSPJob(graph_id=graph.id, algorithm="simulated_annealing", parameters=parameters, status=TSPJob.QUEUED)
+    db.session.add(job)
+    db.session.commit()
+
+    worker = threading.Thread(target=jobs._run_job, args=(app, job.id))
+    worker.start()
+
+    deadline = time.time() + 10
+    while reload(job.id).status == TSPJob.QUEUED and time.time() < deadline:
+        time.sleep(0.05)
+    assert reload(job.id).status == TSPJob.RUNNING
+    return job.id, worker
+
+
+def test_submit_job_queues_it_with_its_parameters(client, auth, graph, submitted):
+    response = client.post(f'/api/graphs/{graph.id}/tsp/jobs', json={
+        "algorithm": "simulated_annealing",
+        "parameters": {"max_iterations": 50, "seed": 3}
+    }, headers=auth)
+
+    assert response.status_code == 202
+    job = response.get_json()
+    assert job["status"] == TSPJob.QUEUED
+    assert job["algorithm"] == "simulated_annealing"
+    assert job["parameters"]["max_iterations"] == 50
+    assert job["parameters"]["seed"] == 3
+    assert job["parameters"]["N_inner"] == 100
+    assert job["position"] == 0
+    assert submitted == [job["id"]]
+
+
+def test_submit_job_on_missing_or_other_users_graph_is_404(client, login, graph, submitted):
+    bob = login("bob")
+
+    assert client.post(f'/api/graphs/{graph.id + 1}/tsp/jobs', json={}, headers=bob).status_code == 404
+    assert client.post(f'/api/graphs/{graph.id}/tsp/jobs', json={}, headers=bob).status_code == 404
+    assert submitted == []
+
+
+def test_get_job(client, auth, graph):
+    job = add_job(graph)
+
+    response = client.get(f'/api/graphs/{graph.id}/tsp/jobs/{job.id}', headers=auth)
+
+    assert response.status_code == 200
+    assert response.get_json()["id"] == job.id
+    assert response.get_json()["status"] == TSPJob.QUEUED
+
+
+def test_get_job_not_found(client, auth, login, graph):
+    job = add_job(graph)
+    other = client.post('/api/graphs', json={"name": "Other", "data": graph.data}, headers=auth).get_json()
+
+    assert client.get(f'/api/graphs/{graph.id}/tsp/jobs/{job.id + 1}', headers=auth).status_code == 404
+    # The job belongs to a different graph
+    assert client.get(f'/api/graphs/{other["graph_id"]}/tsp/jobs/{job.id}', headers=auth).status_code == 404
+    assert client.get(f'/api/graphs/{graph.id}/tsp/jobs/{job.id}', headers=login("bob")).status_code == 404
+
+
+def test_list_jobs_only_returns_active_ones(client, auth, graph):
+    queued = add_job(graph)
+    running = add_job(graph, TSPJob.RUNNING)
+    add_job(graph, TSPJob.COMPLETED)
+    add_job(graph, TSPJob.CANCELLED)
+
+    response = client.get(f'/api/graphs/{graph.id}/tsp/jobs', headers=auth)
+
+    assert response.status_code == 200
+    assert [job["id"] for job in response.get_json()] == [queued.id, running.id]
+
+
+def test_cancel_queued_job(client, auth, graph):
+    job = add_job(graph)
+
+    response = client.post(f'/api/graphs/{graph.id}/tsp/jobs/{job.id}/cancel', headers=auth)
+
+    assert response.status_code == 200
+    assert response.get_json()["status"] == TSPJob.CANCELLED
+    assert reload(job.id).finished_at is not None
+
+    again = client.post(f'/api/graphs/{graph.id}/tsp/jobs/{job.id}/cancel', headers=auth)
+    assert again.status_code == 409
+
+
+def test_cancel_job_not_found(client, auth, login, graph):
+    job = add_job(graph)
+
+    assert client.post(f'/api/graphs/{graph.id}/tsp/jobs/{job.id + 1}/cancel', headers=auth).status_code == 404
+    assert client.post(f'/api/graphs/{graph.id}/tsp/jobs/{job.id}/cancel', headers=login("bob")).status_code == 404
+    assert reload(job.id).status == TSPJob.QUEUED
+
+
+def test_run_job_stores_the_run(app, graph):
+    job = add_job(graph, algorithm="greedy")
+
+    jobs._run_job(app, job.id)
+
+    job = reload(job.id)
+    assert job.status == TSPJob.COMPLETED
+    assert job.started_at is not None and job.finished_at is not None
+    run = db.session.get(TSPRun, job.tsp_run_id)
+    assert run.graph_id == graph.id
+    assert run.parameters == {"source": None}
+    assert sorted(run.path[:-1]) == ["A", "B", "C", "D"]
+
+
+def test_run_job_skips_a_job_cancelled_while_queued(app, graph):
+    job = add_job(graph, TSPJob.CANCELLED)
+
+    jobs._run_job(app, job.id)
+
+    assert reload(job.id).status == TSPJob.CANCELLED
+    assert reload(job.id).started_at is None
+
+
+def test_cancel_running_job_stops_the_solver(app, client, auth):
+    graph_id = client.post('/api/graphs', json={"name": "Slow", "data": slow_graph_data()}, headers=auth).get_json()["graph_id"]
+    job_id, worker = start_job(app, db.session.get(Graph, graph_id), SLOW_PARAMETERS)
+
+    response = client.post(f'/api/graphs/{graph_id}/tsp/jobs/{job_id}/cancel', headers=auth)
+    worker.join(timeout=10)
+
+    assert response.status_code == 200
+    assert not worker.is_alive()
+    job = reload(job_id)
+    assert job.status == TSPJob.CANCELLED
+    assert job.tsp_run_id is None
+    assert TSPRun.query.filter_by(graph_id=graph_id).count() == 0
+
+
+def test_job_failed_while_running_stays_failed(app, client, auth):
+    graph_id = client.post('/api/graphs', json={"name": "Slow", "data": slow_graph_data()}, headers=auth).get_json()["graph_id"]
+    job_id, worker = start_job(app, db.session.get(Graph, graph_id), SLOW_PARAMETERS)
+
+    jobs.fail_stale_jobs()
+    worker.join(timeout=10)
+
+    assert not worker.is_alive()
+    job = reload(job_id)
+    assert job.status == TSPJob.FAILED
+    assert job.tsp_run_id is None
+    assert TSPRun.query.filter_by(graph_id=graph_id).count() == 0
+
+
+def test_finish_leaves_an_ended_job_alone(graph):
+    job = add_job(graph, TSPJob.FAILED)
+    run = TSPRun(graph_id=graph.id, algorithm="greedy", path=["A", "B", "A"], cost=2, time_to_calculate=0)
+
+    jobs._finish(job.id, TSPJob.COMPLETED, tsp_run=run)
+
+    job = reload(job.id)
+    assert job.status == TSPJob.FAILED
+    assert job.tsp_run_id is None
+    assert TSPRun.query.count() == 0
+
+
+def test_fail_stale_jobs(graph):
+    queued = add_job(graph)
+    running = add_job(graph, TSPJob.RUNNING)
+    completed = add_job(graph, TSPJob.COMPLETED)
+    cancelled = add_job(graph, TSPJob.CANCELLED)
+
+    jobs.fail_stale_jobs()
+
+    for job_id in (queued.id, running.id):
+        job = reload(job_id)
+        assert job.status == TSPJob.FAILED
+        assert job.error == "The server restarted before the job finished"
+        assert job.finished_at is not None
+    assert reload(completed.id).status == TSPJob.COMPLETED
+    assert reload(cancelled.id).status == TSPJob.CANCELLED
+
+
+def test_creating_an_app_leaves_jobs_running(app, graph):
+    job = add_job(graph, TSPJob.RUNNING)
+
+    # As a flask CLI command or another worker would
+    create_app({"SQLALCHEMY_DATABASE_URI": app.config["SQLALCHEMY_DATABASE_URI"]})
+
+    assert reload(job.id).status == TSPJob.RUNNING
+
+
+def test_updating_a_graph_cancels_its_active_jobs(client, auth, graph):
+    queued = add_job(graph)
+    running = add_job(graph, TSPJob.RUNNING)
+    completed = add_job(graph, TSPJob.COMPLETED)
+
+    response = client.put(f'/api/graphs/{graph.id}', json={"data": graph.data}, headers=auth)
+
+    assert response.status_code == 200
+    assert reload(queued.id).status == TSPJob.CANCELLED
+    assert reload(running.id).status == TSPJob.CANCELLED
+    assert reload(completed.id).status == TSPJob.COMPLETED
@@ -0,0 +1,232 @@
+"""
+Checking the parameters given for a TSP method, and the errors the TSP routes
+return when they are wrong.
+"""
+
+import json
+
+import networkx as nx
+import pytest
+
+from app.utils import (
+    PARAMETER_SCHEMA, TSP_PARAMETERS, _check_parameter, describe_tsp_parameters, resolve_tsp_parameters
+)
+
+
+@pytest.fixture
+def G():
+    G = nx.DiGraph()
+    G.add_weighted_edges_from([("A", "B", 1), ("B", "C", 1), ("C", "A", 1), (1, "A", 1)])
+    return G
+
+
+@pytest.mark.parametrize("method", TSP_PARAMETERS)
+def test_defaults_are_filled_in(G, method):
+    assert resolve_tsp_parameters(G, method) == TSP_PARAMETERS[method]
+    assert resolve_tsp_parameters(G, method, {}) == TSP_PARAMETERS[method]
+
+
+def test_given_parameters_replace_the_defaults(G):
+    resolved = resolve_tsp_parameters(G, "simulated_annealing", {"max_iterations": 20, "alpha": 0.5, "source": "B"})
+
+    assert resolved == {**TSP_PARAMETERS["simulated_annealing"], "max_iterations": 20, "alpha": 0.5, "source": "B"}
+
+
+def test_none_keeps_the_default(G):
+    resolved = resolve_tsp_parameters(G, "threshold_accepting", {"threshold": None, "seed": None})
+
+    assert resolved == TSP_PARAMETERS["threshold_accepting"]
+
+
+def test_resolving_leaves_the_defaults_alone(G):
+    resolve_tsp_parameters(G, "greedy", {"source": "A"})
+
+    assert TSP_PARAMETERS["greedy"] == {"source": None}
+
+
+def test_unknown_method(G):
+    with pytest.raises(ValueError, match="Invalid TSP method"):
+        resolve_tsp_parameters(G, "christofides")
+
+
+@pytest.mark.parametrize("method, name", [
+    ("greedy", "seed"),
+    ("asadpour", "max_iterations"),
+    ("simulated_annealing", "threshold"),
+    ("threshold_accepting", "temp"),
+    ("greedy", "tabu_size"),
+])
+def test_unknown_parameter(G, method, name):
+    with pytest.raises(ValueError, match=f"'{name}' is not a parameter of {method}"):
+        resolve_tsp_parameters(G, method, {name: 1})
+
+
+@pytest.mark.parametrize("name, value", [
+    ("max_iterations", 1),
+    ("max_iterations", 10000),
+    ("N_inner", 5),
+    ("temp", 0.5),
+    ("temp", 100),
+    ("threshold", 2.5),
+    ("alpha", 0.99),
+    ("init_cycle", "greedy"),
+    ("init_cycle", "random"),
+    ("seed", 0),
+    ("seed", 42),
+    ("source", "C"),
+    ("source", 1),
+])
+def test_allowed_values(G, name, value):
+    _check_parameter(G, name, value)
+
+
+@pytest.mark.parametrize("name, value, message", [
+    # Wrong type
+    ("max_iterations", "100", "'max_iterations' must be a whole number of at least 1."),
+    ("max_iterations", 2.5, "'max_iterations' must be a whole number of at least 1."),
+    ("N_inner", True, "'N_inner' must be a whole number of at least 1."),
+    ("seed", [1], "'seed' must be a whole number of at least 0."),
+    ("temp", "hot", "'temp' must be a number greater than 0."),
+    ("threshold", False, "'threshold' must be a number greater than 0."),
+    ("alpha", "0.5", "'alpha' must be a number between 0 and 1."),
+    ("init_cycle", 1, "'init_cycle' must be 'greedy' or 'random'."),
+    ("source", ["A"], "The start node '['A']' is not in the graph."),
+    ("source", True, "The start node 'True' is not in the graph."),
+    # Out of range
+    ("max_iterations", 0, "'max_iterations' must be a whole number of at least 1."),
+    ("N_inner", -3, "'N_inner' must be a whole number of at least 1."),
+    ("seed", -1, "'seed' must be a whole number of at least 0."),
+    ("temp", 0, "'temp' must be a number greater than 0."),
+    ("threshold", -0.5, "'threshold' must be a number greater than 0."),
+    ("alpha", 0, "'alpha' must be a number between 0 and 1."),
+    ("alpha", 1, "'alpha' must be a number between 0 and 1."),
+    ("init_cycle", "christofides", "'init_cycle' must be 'greedy' or 'random'."),
+    ("source", "Z", "The start node 'Z' is not in the graph."),
+    ("source", "1", "The start node '1' is not in the graph."),
+])
+def test_rejected_values(G, name, value, message):
+    with pytest.raises(ValueError) as error:
+        _check_parameter(G, name, value)
+    assert str(error.value) == message
+
+
+def test_resolve_names_the_wrong_parameter(G):
+    with pytest.raises(ValueError, match="'N_inner' must be a whole number"):
+        resolve_tsp_parameters(G, "simulated_annealing", {"max_iterations": 5, "N_inner": 0})
+
+
+def test_every_parameter_has_a_schema():
+    for defaults in TSP_PARAMETERS.values():
+        assert set(defaults) <= set(PARAMETER_SCHEMA)
+
+
+def test_describe_tsp_parameters():
+    described = describe_tsp_parameters()
+
+    assert set(described) == set(TSP_PARAMETERS)
+    for method, defaults in TSP_PARAMETERS.items():
+        assert set(described[method]) == set(defaults)
+        for name, default in defaults.items():
+            assert described[method][name] == {**PARAMETER_SCHEMA[name], "default": default}
+
+
+def test_get_tsp_parameters_matches_the_schema(client):
+    response = client.get('/api/tsp/parameters')
+
+    assert response.status_code == 200
+    assert response.get_json() == describe_tsp_parameters()
+    for method, parameters in response.get_json().items():
+        for name, parameter in parameters.items():
+            schema = {key: value for key, value in parameter.items() if key != "default"}
+            assert schema == PARAMETER_SCHEMA[name]
+            assert parameter["default"] == TSP_PARAMETERS[method][name]
+
+
+def solve(client, auth, graph, algo, params):
+    query = {"algo": algo}
+    if params is not None:
+        query["params"] = params if isinstance(params, str) else json.dumps(params)
+    return client.get(f'/api/graphs/{graph.id}/tsp', query_string=query, headers=auth)
+
+
+@pytest.mark.parametrize("algo, params, error", [
+    ("christofides", {}, "Invalid TSP method"),
+    ("greedy", {"seed": 3}, "'seed' is not a parameter of greedy."),
+    ("simulated_annealing", {"temp": "hot"}, "'temp' must be a number greater than 0."),
+    ("threshold_accepting", {"alpha": 1.5}, "'alpha' must be a number between 0 and 1."),
+    ("greedy", {"source": "Z"}, "The start node 'Z' is not in the graph."),
+    ("greedy", "{source: A}", "'params' must be a JSON object"),
+    ("greedy", "[1, 2]", "'params' must be a JSON object"),
+    ("greedy", "null", "'params' must be a JSON object"),
+])
+def test_solve_rejects_bad_parameters(client, auth, graph, algo, params, error):
+    response = solve(client, auth, graph, algo, params)
+
+    assert response.status_code == 400
+    assert error in response.get_json()["error"]
+
+
+def test_solve_fills_in_defaults(client, auth, graph):
+    response = solve(client, auth, graph, "simulated_annealing", {"max_iterations": 5, "seed": 1})
+
+    assert response.status_code == 200
+    assert response.get_json()["parameters"] == {
+        **TSP_PARAMETERS["simulated_annealing"], "max_iterations": 5, "seed": 1
+    }
+
+
+def test_solve_without_params_uses_the_defaults(client, auth, graph):
+    response = solve(client, auth, graph, "greedy", None)
+
+    assert response.status_code == 200
+    assert response.get_json()["parameters"] == TSP_PARAMETERS["greedy"]
+
+
+@pytest.mark.parametrize("body, error", [
+    ({"algorithm": "christofides"}, "Invalid TSP method"),
+    ({"algorithm": "asadpour", "parameters": {"N_inner": 5}}, "'N_inner' is not a parameter of asadpour."),
+    ({"algorithm": "simulated_annealing", "parameters": {"max_iterations": "many"}},
+     "'max_iterations' must be a whole number of at least 1."),
+    ({"algorithm": "simulated_annealing", "parameters": {"init_cycle": "christofides"}},
+     "'init_cycle' must be 'greedy' or 'random'."),
+    ({"algorithm": "threshold_accepting", "parameters": {"threshold": 0}},
+     "'threshold' must be a number greater than 0."),
+    ({"algorithm": "greedy", "parameters": ["source", "A"]}, "'parameters' must be a JSON object"),
+    ({"algorithm": "greedy", "parameters": "source=A"}, "'parameters' must be a JSON object"),
+    (["greedy"], "The request body must be a JSON object"),
+])
+def test_submit_job_rejects_bad_parameters(client, auth, graph, submitted, body, error):
+    response = client.post(f'/api/graphs/{graph.id}/tsp/jobs', json=body, headers=auth)
+
+    assert response.status_code == 400
+    assert error in response.get_json()["error"]
+    assert submitted == []
+
+
+def test_submit_job_rejects_a_malformed_body(client, auth, graph, submitted):
+    response = client.post(f'/api/graphs/{graph.id}/tsp/jobs', data='{"algorithm": greedy}',
+                           content_type='application/json', headers=auth)
+
+    assert response.status_code == 400
+    assert response.get_json()["error"] == "The request body must be a JSON object"
+    assert submitted == []
+
+
+def test_submit_job_fills_in_defaults(client, auth, graph, submitted):
+    response = client.post(f'/api/graphs/{graph.id}/tsp/jobs', json={
+        "algorithm": "threshold_accepting",
+        "parameters": {"threshold": 2, "source": "C"}
+    }, headers=auth)
+
+    assert response.status_code == 202
+    assert response.get_json()["parameters"] == {
+        **TSP_PARAMETERS["threshold_accepting"], "threshold": 2, "source": "C"
+    }
+
+
+def test_submit_job_without_a_body_uses_asadpour_defaults(client, auth, graph, submitted):
+    response = client.post(f'/api/graphs/{graph.id}/tsp/jobs', headers=auth)
+
+    assert response.status_code == 202
+    assert response.get_json()["algorithm"] == "asadpour"
+    assert response.get_json()["parameters"] == TSP_PARAMETERS["asadpour"]
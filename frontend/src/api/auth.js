@@ -0,0 +1,19 @@
+import { api } from "./client";
+
+/**
+ * Exchange credentials for an access token
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<Object>} - { access_token, user_id }
+ */
+export const login = (username, password) =>
+  api.post("/api/login", { username, password }, { auth: false });
+
+/**
+ * Create a new account
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<Object>} - { message, user_id }
+ */
+export const register = (username, password) =>
+  api.post("/api/register", { username, password }, { auth: false });
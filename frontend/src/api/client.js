@@ -0,0 +1,138 @@
+// Single entry point for talking to the Flask backend. Every request goes
+// through apiRequest so the base URL, bearer token and error handling live
+// in one place.
+
+export const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || "http://127.0.0.1:5000").replace(/\/+$/, "");
+
+const TOKEN_KEY = "token";
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setToken = (token) => localStorage.setItem(TOKEN_KEY, token);
+
+export const clearToken = () => localStorage.removeItem(TOKEN_KEY);
+
+/**
+ * Base class for every failed API call
+ */
+export class ApiError extends Error {
+  constructor(message, status, data = null) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * The token is missing, invalid or expired
+ */
+export class AuthError extends ApiError {
+  constructor(message, status, data) {
+    super(message, status, data);
+    this.name = "AuthError";
+  }
+}
+
+/**
+ * The requested resource doesn't exist (or belongs to another user)
+ */
+export class NotFoundError extends ApiError {
+  constructor(message, status, data) {
+    super(message, status, data);
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * The backend rejected the request body, e.g. a graph that isn't strongly connected
+ */
+export class ValidationError extends ApiError {
+  constructor(message, status, data) {
+    super(message, status, data);
+    this.name = "ValidationError";
+  }
+}
+
+/**
+ * The backend couldn't be reached at all
+ */
+export class NetworkError extends ApiError {
+  constructor(message) {
+    super(message, 0);
+    this.name = "NetworkError";
+  }
+}
+
+// Called when an authenticated request is rejected; replaced by the app on startup
+let unauthorizedHandler = () => {
+  clearToken();
+  window.location.assign("/");
+};
+
+/**
+ * Register what happens when the backend rejects our token (401, or 422 for a malformed JWT)
+ * @param {Function} handler - Receives the AuthError
+ */
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+/**
+ * Turn a failed response into the matching ApiError subclass
+ * @param {number} status - The HTTP status
+ * @param {Object|null} data - The parsed response body, if any
+ * @param {boolean} auth - Whether the request carried a token
+ * @returns {ApiError}
+ */
+const toApiError = (status, data, auth) => {
+  // Our routes use "error", flask-jwt-extended uses "msg"
+  const message = data?.error || data?.msg || data?.message || `HTTP error! Status: ${status}`;
+
+  if (auth && (status === 401 || status === 422)) return new AuthError(message, status, data);
+  if (status === 404) return new NotFoundError(message, status, data);
+  if (status === 400) return new ValidationError(message, status, data);
+  return new ApiError(message, status, data);
+};
+
+/**
+ * Send a request to the backend
+ * @param {string} path - The API path, e.g. "/api/graphs"
+ * @param {Object} options - { method, body, auth, signal }; auth defaults to true
+ * @returns {Promise<Object>} - The parsed JSON response
+ */
+export const apiRequest = async (path, { method = "GET", body, auth = true, signal } = {}) => {
+  const headers = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (auth) headers.Authorization = `Bearer ${getToken()}`;
+
+  let res;
+  try {
+    res = await fetch(`${API_BASE_URL}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal,
+    });
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    throw new NetworkError(`Could not reach the server at ${API_BASE_URL}`);
+  }
+
+  const data = await res.json().catch(() => null);
+
+  if (!res.ok) {
+    const error = toApiError(res.status, data, auth);
+    if (error instanceof AuthError) unauthorizedHandler(error);
+    throw error;
+  }
+
+  return data;
+};
+
+export const api = {
+  get: (path, options) => apiRequest(path, { ...options, method: "GET" }),
+  post: (path, body, options) => apiRequest(path, { ...options, method: "POST", body }),
+  put: (path, body, options) => apiRequest(path, { ...options, method: "PUT", body }),
+  delete: (path, options) => apiRequest(path, { ...options, method: "DELETE" }),
+};
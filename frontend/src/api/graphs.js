@@ -0,0 +1,95 @@
+import { api } from "./client";
+
+/**
+ * @returns {Promise<Array<number>>} - Ids of the logged-in user's graphs
+ */
+export const fetchGraphIds = async () => {
+  const { graph_ids } = await api.get("/api/graphs");
+  return graph_ids;
+};
+
+/**
+ * @param {number|string} graphId
+ * @returns {Promise<Object>} - { id, name, user_id, graph, created_at, updated_at }
+ */
+export const fetchGraph = (graphId) => api.get(`/api/graphs/${graphId}`);
+
+/**
+ * @param {string} name - The graph title
+ * @param {Object} data - The graph's { nodes, edges }
+ * @returns {Promise<Object>} - { message, graph_id }
+ */
+export const createGraph = (name, data) => api.post("/api/graphs", { name, data });
+
+/**
+ * Replace a graph's data. The backend also deletes its TSP runs.
+ * @param {number|string} graphId
+ * @param {Object} data - The graph's { name, nodes, edges }
+ */
+export const updateGraph = (graphId, data) => api.put(`/api/graphs/${graphId}`, { data });
+
+/**
+ * @param {number|string} graphId
+ */
+export const deleteGraph = (graphId) => api.delete(`/api/graphs/${graphId}`);
+
+/**
+ * The parameters each TSP algorithm accepts, as the backend checks them
+ * @returns {Promise<Object>} - Algorithm to parameter name to { type, default, min?, above?, below?, options? };
+ *   type is "integer", "number", "choice" or "node"
+ */
+export const fetchTspParameters = () => api.get("/api/tsp/parameters");
+
+/**
+ * Solve the TSP for a graph; the backend stores the result as a TSP run
+ * @param {number|string} graphId
+ * @param {string} algorithm - e.g. "greedy" or "simulated_annealing"
+ * @param {Object} parameters - The solver's parameters; those left out take their defaults
+ * @returns {Promise<Object>} - { tsp_path, parameters, cost, time_to_calculate }
+ */
+export const runTsp = (graphId, algorithm, parameters = {}) =>
+  api.get(
+    `/api/graphs/${graphId}/tsp?algo=${encodeURIComponent(algorithm)}&params=${encodeURIComponent(JSON.stringify(parameters))}`
+  );
+
+/**
+ * @param {number|string} graphId
+ * @returns {Promise<Array<Object>>} - The graph's stored TSP runs
+ */
+export const fetchTspRuns = (graphId) => api.get(`/api/graphs/${graphId}/tsp/runs`);
+
+/**
+ * @param {number|string} graphId
+ * @param {number} runId
+ */
+export const deleteTspRun = (graphId, runId) => api.delete(`/api/graphs/${graphId}/tsp/runs/${runId}`);
+
+/**
+ * Queue a TSP job for a graph; the backend stores its result as a TSP run
+ * @param {number|string} graphId
+ * @param {string} algorithm - e.g. "greedy" or "simulated_annealing"
+ * @param {Object} parameters - The solver's parameters; those left out take their defaults
+ * @returns {Promise<Object>} - The job: { id, algorithm, parameters, status, error, position, elapsed, tsp_run_id, created_at }
+ */
+export const submitTspJob = (graphId, algorithm, parameters = {}) =>
+  api.post(`/api/graphs/${graphId}/tsp/jobs`, { algorithm, parameters });
+
+/**
+ * @param {number|string} graphId
+ * @returns {Promise<Array<Object>>} - The graph's queued and running TSP jobs
+ */
+export const fetchTspJobs = (graphId) => api.get(`/api/graphs/${graphId}/tsp/jobs`);
+
+/**
+ * @param {number|string} graphId
+ * @param {number} jobId
+ * @returns {Promise<Object>} - The job, which may have finished
+ */
+export const fetchTspJob = (graphId, jobId) => api.get(`/api/graphs/${graphId}/tsp/jobs/${jobId}`);
+
+/**
+ * @param {number|string} graphId
+ * @param {number} jobId
+ * @returns {Promise<Object>} - The cancelled job
+ */
+export const cancelTspJob = (graphId, jobId) => api.post(`/api/graphs/${graphId}/tsp/jobs/${jobId}/cancel`);
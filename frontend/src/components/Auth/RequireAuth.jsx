@@ -0,0 +1,17 @@
+import { Navigate, useLocation } from "react-router-dom";
+
+import { useAuth } from "./authContext";
+
+// Sends logged-out users to the login page, remembering where they were headed
+const RequireAuth = ({ children }) => {
+  const { isLoggedIn } = useAuth();
+  const location = useLocation();
+
+  if (!isLoggedIn) {
+    return <Navigate to="/" replace state={{ from: location }} />;
+  }
+
+  return children;
+};
+
+export default RequireAuth;
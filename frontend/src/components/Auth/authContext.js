@@ -0,0 +1,15 @@
+import { createContext, useContext } from "react";
+
+export const AuthContext = createContext(null);
+
+/**
+ * Access the current session
+ * @returns {Object} - { isLoggedIn, expiresAt, login, logout }
+ */
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used inside an AuthProvider");
+  }
+  return context;
+};
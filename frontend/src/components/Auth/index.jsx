@@ -0,0 +1,96 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+
+import { AuthContext } from "./authContext";
+import { getTokenExpiry, isTokenValid } from "./jwtUtils";
+import { getToken, setToken, clearToken, setUnauthorizedHandler } from "../../api/client";
+import { useDialogs } from "../Dialogs/dialogContext";
+
+// How long before the token expires the user is warned
+const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+
+// setTimeout fires immediately for delays above this, so longer timers are skipped
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+const readStoredToken = () => {
+  const token = getToken();
+  if (token && !isTokenValid(token)) {
+    clearToken();
+    return null;
+  }
+  return token;
+};
+
+/**
+ * Tracks the logged-in session. Decodes the JWT's expiry, warns shortly before
+ * it runs out and logs the user out once it has, or whenever the backend rejects it.
+ */
+const AuthProvider = ({ children }) => {
+  const { showToast } = useDialogs();
+  const [token, setTokenState] = useState(readStoredToken);
+  const tokenRef = useRef(token);
+  tokenRef.current = token;
+
+  const expiresAt = useMemo(() => getTokenExpiry(token), [token]);
+
+  const login = useCallback((accessToken) => {
+    setToken(accessToken);
+    setTokenState(accessToken);
+  }, []);
+
+  /**
+   * End the session
+   * @param {string} reason - "expired" when the session ran out rather than the user logging out
+   */
+  const logout = useCallback((reason) => {
+    // Several requests can fail at once, so only the first one reports the expiry
+    if (tokenRef.current && reason === "expired") {
+      showToast("Your session has expired. Please log in again.", "error");
+    }
+    tokenRef.current = null;
+
+    clearToken();
+    setTokenState(null);
+  }, [showToast]);
+
+  // The API client reports rejected tokens (401/422) here
+  useEffect(() => {
+    setUnauthorizedHandler(() => logout("expired"));
+  }, [logout]);
+
+  // Warn before the token expires, and log out when it does
+  useEffect(() => {
+    if (!token || !Number.isFinite(expiresAt)) return;
+
+    const timers = [];
+    const untilExpiry = expiresAt - Date.now();
+    const untilWarning = untilExpiry - EXPIRY_WARNING_MS;
+
+    if (untilWarning > 0 && untilWarning < MAX_TIMEOUT_MS) {
+      timers.push(setTimeout(() => {
+        showToast("Your session expires in 5 minutes. Save your work and log in again.", "info");
+      }, untilWarning));
+    }
+    if (untilExpiry < MAX_TIMEOUT_MS) {
+      timers.push(setTimeout(() => logout("expired"), Math.max(untilExpiry, 0)));
+    }
+
+    return () => timers.forEach(clearTimeout);
+  }, [token, expiresAt, logout, showToast]);
+
+  // Follow logins and logouts made in other tabs
+  useEffect(() => {
+    const handleStorage = () => setTokenState(readStoredToken());
+
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  const value = useMemo(
+    () => ({ isLoggedIn: !!token, expiresAt, login, logout }),
+    [token, expiresAt, login, logout]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
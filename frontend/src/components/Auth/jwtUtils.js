@@ -0,0 +1,39 @@
+/**
+ * Read the payload of a JWT without verifying it. The backend verifies the
+ * signature; the frontend only needs the claims, e.g. to know when it expires.
+ * @param {string} token - The encoded JWT
+ * @returns {Object|null} - The decoded payload, or null if the token is malformed
+ */
+export const decodeToken = (token) => {
+  try {
+    const payload = token.split(".")[1];
+    const base64 = payload.replace(/-/g, "+").replace(/_/g, "/");
+    const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), "=");
+    return JSON.parse(atob(padded));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @param {string} token - The encoded JWT
+ * @returns {number|null} - Expiry as a millisecond timestamp, Infinity if the token never expires,
+ *   or null if it can't be decoded
+ */
+export const getTokenExpiry = (token) => {
+  if (!token) return null;
+
+  const payload = decodeToken(token);
+  if (!payload) return null;
+
+  return typeof payload.exp === "number" ? payload.exp * 1000 : Infinity;
+};
+
+/**
+ * @param {string} token - The encoded JWT
+ * @returns {boolean} - Whether the token is present, readable and not yet expired
+ */
+export const isTokenValid = (token) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry > Date.now();
+};
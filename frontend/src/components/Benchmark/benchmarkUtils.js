@@ -0,0 +1,115 @@
+import { unparse } from "papaparse";
+
+import { TSP_ALGORITHMS } from "../GraphViewer/tspAlgorithms";
+
+// Most runs of one algorithm in a benchmark
+export const MAX_REPETITIONS = 50;
+
+// Each algorithm is drawn in its own color, the same on every chart
+const ALGORITHM_COLORS = ["#2563eb", "#dc2626", "#16a34a", "#9333ea", "#ea580c", "#0891b2"];
+
+/**
+ * @param {string} algorithm - A key of TSP_ALGORITHMS
+ * @returns {string} - The color the algorithm is charted in
+ */
+export const algorithmColor = (algorithm) => {
+  const index = Object.keys(TSP_ALGORITHMS).indexOf(algorithm);
+  return ALGORITHM_COLORS[Math.max(index, 0) % ALGORITHM_COLORS.length];
+};
+
+/**
+ * The order to run a benchmark in: a round of every algorithm, then the next
+ * round, so that stopping early leaves a fair sample of each
+ * @param {Array<string>} algorithms - The algorithms to run
+ * @param {number} repetitions - How many times to run each
+ * @returns {Array} - [{ algorithm, repetition }], repetition counting from 1
+ */
+export const planBenchmark = (algorithms, repetitions) =>
+  Array.from({ length: repetitions }, (_, round) =>
+    algorithms.map(algorithm => ({ algorithm, repetition: round + 1 }))
+  ).flat();
+
+// Linear interpolation between the closest ranks
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const below = Math.floor(position);
+  const above = Math.ceil(position);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+};
+
+/**
+ * Five-number summary and mean of some values
+ * @param {Array<number>} values - At least one value
+ * @returns {Object} - { min, q1, median, q3, max, mean }
+ */
+export const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    min: sorted[0],
+    q1: quantile(sorted, 0.25),
+    median: quantile(sorted, 0.5),
+    q3: quantile(sorted, 0.75),
+    max: sorted[sorted.length - 1],
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+  };
+};
+
+/**
+ * Summarize the cost and runtime of each algorithm's runs
+ * @param {Array} results - [{ algorithm, repetition, cost, time }]
+ * @returns {Array} - [{ algorithm, runs, cost, time }] in TSP_ALGORITHMS order, cost
+ *   and time being summaries from summarize
+ */
+export const summarizeByAlgorithm = (results) =>
+  Object.keys(TSP_ALGORITHMS)
+    .map(algorithm => results.filter(result => result.algorithm === algorithm))
+    .filter(runs => runs.length > 0)
+    .map(runs => ({
+      algorithm: runs[0].algorithm,
+      runs: runs.length,
+      cost: summarize(runs.map(run => run.cost)),
+      time: summarize(runs.map(run => run.time)),
+    }));
+
+/**
+ * One row per run, for spreadsheets
+ * @param {Array} results - [{ algorithm, repetition, cost, time }]
+ * @returns {string}
+ */
+export const toBenchmarkCSV = (results) =>
+  unparse({
+    fields: ["algorithm", "run", "cost", "time_to_calculate"],
+    data: results.map(({ algorithm, repetition, cost, time }) => [algorithm, repetition, cost, time]),
+  });
+
+/**
+ * Round numbers spanning a range, for chart axes
+ * @param {number} min - The smallest value to show
+ * @param {number} max - The largest value to show
+ * @param {number} count - Roughly how many ticks to make
+ * @returns {Array<number>} - The ticks, covering [min, max]
+ */
+export const niceTicks = (min, max, count = 5) => {
+  if (min === max) return [min];
+
+  const rawStep = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rawStep);
+  const ticks = [Math.floor(min / step) * step];
+  while (ticks[ticks.length - 1] < max) {
+    ticks.push(Number((ticks[ticks.length - 1] + step).toPrecision(12)));
+  }
+  return ticks;
+};
+
+/**
+ * Map values in a domain onto a range of pixels
+ * @param {Array<number>} domain - [low, high] values
+ * @param {Array<number>} range - [start, end] pixels the low and high values map to
+ * @returns {Function} - value => pixel
+ */
+export const linearScale = ([low, high], [start, end]) =>
+  (value) => (high === low ? (start + end) / 2 : start + ((value - low) / (high - low)) * (end - start));
+
+// Short form of a tick value
+export const formatTick = (value) => Number(value.toPrecision(4)).toLocaleString();
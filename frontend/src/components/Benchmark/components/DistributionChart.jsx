@@ -0,0 +1,65 @@
+import { TSP_ALGORITHMS } from "../../GraphViewer/tspAlgorithms";
+import { algorithmColor, niceTicks, linearScale, formatTick } from "../benchmarkUtils";
+
+const WIDTH = 560;
+const ROW_HEIGHT = 40;
+const MARGIN = { top: 8, right: 16, bottom: 40, left: 150 };
+
+// A box plot per algorithm of one figure of its runs: the box spans the middle half,
+// the whiskers the full range, and each run is a dot over it
+const DistributionChart = ({ summaries, results, metric, label }) => {
+  const height = MARGIN.top + summaries.length * ROW_HEIGHT + MARGIN.bottom;
+  const ticks = niceTicks(
+    Math.min(...summaries.map(summary => summary[metric].min)),
+    Math.max(...summaries.map(summary => summary[metric].max))
+  );
+  const x = linearScale([ticks[0], ticks[ticks.length - 1]], [MARGIN.left, WIDTH - MARGIN.right]);
+  const bottom = height - MARGIN.bottom;
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full text-xs" role="img" aria-label={`${label} by algorithm`}>
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line x1={x(tick)} x2={x(tick)} y1={MARGIN.top} y2={bottom} stroke="#e5e7eb" />
+          <text x={x(tick)} y={bottom + 14} textAnchor="middle" fill="#4b5563">
+            {formatTick(tick)}
+          </text>
+        </g>
+      ))}
+      <text x={(MARGIN.left + WIDTH - MARGIN.right) / 2} y={height - 6} textAnchor="middle" fill="#111827">
+        {label}
+      </text>
+      {summaries.map(({ algorithm, [metric]: { min, q1, median, q3, max } }, index) => {
+        const middle = MARGIN.top + index * ROW_HEIGHT + ROW_HEIGHT / 2;
+        const color = algorithmColor(algorithm);
+        return (
+          <g key={algorithm}>
+            <text x={MARGIN.left - 8} y={middle} textAnchor="end" dominantBaseline="middle" fill="#111827">
+              {TSP_ALGORITHMS[algorithm]?.label ?? algorithm}
+            </text>
+            <line x1={x(min)} x2={x(max)} y1={middle} y2={middle} stroke={color} />
+            <line x1={x(min)} x2={x(min)} y1={middle - 6} y2={middle + 6} stroke={color} />
+            <line x1={x(max)} x2={x(max)} y1={middle - 6} y2={middle + 6} stroke={color} />
+            <rect
+              x={x(q1)}
+              y={middle - 11}
+              width={Math.max(x(q3) - x(q1), 1)}
+              height="22"
+              fill={color}
+              fillOpacity="0.2"
+              stroke={color}
+            />
+            <line x1={x(median)} x2={x(median)} y1={middle - 11} y2={middle + 11} stroke={color} strokeWidth="3" />
+            {results
+              .filter(result => result.algorithm === algorithm)
+              .map(result => (
+                <circle key={result.repetition} cx={x(result[metric])} cy={middle} r="2.5" fill={color} />
+              ))}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default DistributionChart;
@@ -0,0 +1,65 @@
+import { TSP_ALGORITHMS } from "../../GraphViewer/tspAlgorithms";
+import { algorithmColor, niceTicks, linearScale, formatTick } from "../benchmarkUtils";
+
+const WIDTH = 560;
+const HEIGHT = 320;
+const MARGIN = { top: 16, right: 16, bottom: 44, left: 64 };
+
+// Every run of the benchmark as a point, runtime across and cost up
+const ScatterPlot = ({ results }) => {
+  const xTicks = niceTicks(0, Math.max(...results.map(result => result.time)));
+  const yTicks = niceTicks(
+    Math.min(...results.map(result => result.cost)),
+    Math.max(...results.map(result => result.cost))
+  );
+  const x = linearScale([xTicks[0], xTicks[xTicks.length - 1]], [MARGIN.left, WIDTH - MARGIN.right]);
+  const y = linearScale([yTicks[0], yTicks[yTicks.length - 1]], [HEIGHT - MARGIN.bottom, MARGIN.top]);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full text-xs" role="img" aria-label="Cost against runtime">
+      {yTicks.map(tick => (
+        <g key={`y${tick}`}>
+          <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(tick)} y2={y(tick)} stroke="#e5e7eb" />
+          <text x={MARGIN.left - 6} y={y(tick)} textAnchor="end" dominantBaseline="middle" fill="#4b5563">
+            {formatTick(tick)}
+          </text>
+        </g>
+      ))}
+      {xTicks.map(tick => (
+        <g key={`x${tick}`}>
+          <line x1={x(tick)} x2={x(tick)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} stroke="#e5e7eb" />
+          <text x={x(tick)} y={HEIGHT - MARGIN.bottom + 14} textAnchor="middle" fill="#4b5563">
+            {formatTick(tick)}
+          </text>
+        </g>
+      ))}
+      <text x={(MARGIN.left + WIDTH - MARGIN.right) / 2} y={HEIGHT - 6} textAnchor="middle" fill="#111827">
+        Runtime (s)
+      </text>
+      <text
+        transform={`translate(14 ${(MARGIN.top + HEIGHT - MARGIN.bottom) / 2}) rotate(-90)`}
+        textAnchor="middle"
+        fill="#111827"
+      >
+        Cost
+      </text>
+      {results.map(({ algorithm, repetition, cost, time }) => (
+        <circle
+          key={`${algorithm}-${repetition}`}
+          cx={x(time)}
+          cy={y(cost)}
+          r="5"
+          fill={algorithmColor(algorithm)}
+          fillOpacity="0.7"
+          stroke="#ffffff"
+        >
+          <title>
+            {`${TSP_ALGORITHMS[algorithm]?.label ?? algorithm} run ${repetition}: cost ${cost.toFixed(2)} in ${time.toFixed(2)}s`}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default ScatterPlot;
@@ -0,0 +1,218 @@
+import { useParams, Link } from "react-router-dom";
+import { useEffect, useRef, useState } from "react";
+
+import { useDialogs } from "../Dialogs/dialogContext";
+import { fetchGraph, runTsp } from "../../api/graphs";
+import { downloadFile } from "../GraphBuilder/exportUtils";
+import { TSP_ALGORITHMS } from "../GraphViewer/tspAlgorithms";
+import ScatterPlot from "./components/ScatterPlot";
+import DistributionChart from "./components/DistributionChart";
+import {
+  MAX_REPETITIONS,
+  algorithmColor,
+  planBenchmark,
+  summarizeByAlgorithm,
+  toBenchmarkCSV,
+} from "./benchmarkUtils";
+
+// Runs each picked algorithm several times on one graph and charts how they compare
+const Benchmark = () => {
+  const { graphId } = useParams();
+  const { showToast } = useDialogs();
+  const [graph, setGraph] = useState(null);
+  const [loading, setLoading] = useState(true);
+  // The slow algorithms are left for the user to opt into
+  const [algorithms, setAlgorithms] = useState(
+    Object.keys(TSP_ALGORITHMS).filter(algorithm => !TSP_ALGORITHMS[algorithm].note)
+  );
+  const [repetitions, setRepetitions] = useState(5);
+  const [results, setResults] = useState([]);
+  const [failures, setFailures] = useState(0);
+  // { done, total } while a benchmark is running
+  const [progress, setProgress] = useState(null);
+  const stopRequested = useRef(false);
+
+  useEffect(() => {
+    const fetchGraphData = async () => {
+      try {
+        setGraph(await fetchGraph(graphId));
+      } catch (err) {
+        console.error("Error fetching graph data:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchGraphData();
+  }, [graphId]);
+
+  // Leaving the page stops the benchmark after the run in progress
+  useEffect(() => () => {
+    stopRequested.current = true;
+  }, []);
+
+  const toggleAlgorithm = (algorithm) => {
+    setAlgorithms((prev) => (prev.includes(algorithm)
+      ? prev.filter(a => a !== algorithm)
+      : Object.keys(TSP_ALGORITHMS).filter(a => a === algorithm || prev.includes(a))));
+  };
+
+  const handleRun = async () => {
+    const plan = planBenchmark(algorithms, repetitions);
+    stopRequested.current = false;
+    setResults([]);
+    setFailures(0);
+    setProgress({ done: 0, total: plan.length });
+
+    let failed = 0;
+    for (const [index, { algorithm, repetition }] of plan.entries()) {
+      if (stopRequested.current) break;
+      try {
+        const { cost, time_to_calculate } = await runTsp(graphId, algorithm);
+        setResults((prev) => [...prev, { algorithm, repetition, cost, time: time_to_calculate }]);
+      } catch (err) {
+        console.error(`Error running ${algorithm}:`, err);
+        failed += 1;
+        setFailures(failed);
+      }
+      setProgress({ done: index + 1, total: plan.length });
+    }
+
+    setProgress(null);
+    if (failed > 0) showToast(`${failed} of the benchmark's runs failed.`, "error");
+  };
+
+  const handleExport = () => {
+    downloadFile(toBenchmarkCSV(results), `${graph.name}-benchmark`, "csv", "text/csv");
+  };
+
+  if (loading) return <p>Loading...</p>;
+  if (!graph) return <p>Graph not found.</p>;
+
+  const running = progress !== null;
+  const summaries = summarizeByAlgorithm(results);
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="flex justify-between items-baseline">
+        <h2 className="text-2xl font-bold">Benchmark: {graph.name}</h2>
+        <Link to={`/graphs/${graphId}`} className="text-blue-600 hover:underline">
+          Back to graph
+        </Link>
+      </div>
+
+      <div className="bg-white p-4 rounded shadow-md flex flex-wrap items-end gap-6">
+        <fieldset className="flex flex-col gap-1" disabled={running}>
+          <legend className="font-semibold mb-1">Algorithms</legend>
+          {Object.entries(TSP_ALGORITHMS).map(([id, { label, note }]) => (
+            <label key={id} className="flex items-center gap-2">
+              <input type="checkbox" checked={algorithms.includes(id)} onChange={() => toggleAlgorithm(id)} />
+              <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: algorithmColor(id) }} />
+              {label}
+              {note && <span className="text-gray-500 text-sm">({note})</span>}
+            </label>
+          ))}
+        </fieldset>
+        <label className="flex flex-col gap-1">
+          <span className="font-semibold">Runs per algorithm</span>
+          <input
+            type="number"
+            min="1"
+            max={MAX_REPETITIONS}
+            value={repetitions}
+            disabled={running}
+            onChange={(e) => setRepetitions(Math.max(1, Math.min(MAX_REPETITIONS, Math.round(Number(e.target.value)) || 1)))}
+            className="border rounded p-2 w-32"
+          />
+        </label>
+        <div className="flex gap-2">
+          {running ? (
+            <button
+              onClick={() => {
+                stopRequested.current = true;
+              }}
+              className="bg-red-500 hover:bg-red-600 text-white py-2 px-4 rounded"
+            >
+              Stop
+            </button>
+          ) : (
+            <button
+              onClick={handleRun}
+              disabled={algorithms.length === 0}
+              className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded disabled:opacity-50"
+            >
+              Run Benchmark
+            </button>
+          )}
+          <button
+            onClick={handleExport}
+            disabled={results.length === 0}
+            className="bg-gray-200 hover:bg-gray-300 py-2 px-4 rounded disabled:opacity-50"
+          >
+            Export CSV
+          </button>
+        </div>
+        <div className="text-sm text-gray-700">
+          {running && <p>Running {progress.done + 1} of {progress.total}...</p>}
+          {failures > 0 && <p className="text-red-600">{failures} failed</p>}
+          <p className="text-gray-500">Every run is also saved with the graph&apos;s TSP runs.</p>
+        </div>
+      </div>
+
+      {results.length === 0 ? (
+        !running && <p>Pick the algorithms to compare and run the benchmark.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div className="bg-white p-4 rounded shadow-md">
+              <h3 className="text-xl font-semibold mb-2">Cost vs. Runtime</h3>
+              <ScatterPlot results={results} />
+            </div>
+            <div className="bg-white p-4 rounded shadow-md flex flex-col gap-2">
+              <h3 className="text-xl font-semibold">Distributions</h3>
+              <DistributionChart summaries={summaries} results={results} metric="cost" label="Cost" />
+              <DistributionChart summaries={summaries} results={results} metric="time" label="Runtime (s)" />
+            </div>
+          </div>
+
+          <div className="bg-white p-4 rounded shadow-md">
+            <h3 className="text-xl font-semibold mb-2">Summary</h3>
+            <table className="w-full text-left text-sm">
+              <thead>
+                <tr className="border-b">
+                  <th className="py-1">Algorithm</th>
+                  <th className="py-1 text-right">Runs</th>
+                  <th className="py-1 text-right">Min Cost</th>
+                  <th className="py-1 text-right">Median Cost</th>
+                  <th className="py-1 text-right">Mean Cost</th>
+                  <th className="py-1 text-right">Max Cost</th>
+                  <th className="py-1 text-right">Mean Time</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summaries.map(({ algorithm, runs, cost, time }) => (
+                  <tr key={algorithm} className="border-b last:border-0">
+                    <td className="py-1">
+                      <span className="flex items-center gap-2">
+                        <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: algorithmColor(algorithm) }} />
+                        {TSP_ALGORITHMS[algorithm].label}
+                      </span>
+                    </td>
+                    <td className="py-1 text-right">{runs}</td>
+                    <td className="py-1 text-right">{cost.min.toFixed(2)}</td>
+                    <td className="py-1 text-right">{cost.median.toFixed(2)}</td>
+                    <td className="py-1 text-right">{cost.mean.toFixed(2)}</td>
+                    <td className="py-1 text-right">{cost.max.toFixed(2)}</td>
+                    <td className="py-1 text-right">{time.mean.toFixed(2)}s</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Benchmark;
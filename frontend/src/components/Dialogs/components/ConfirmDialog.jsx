@@ -0,0 +1,28 @@
+import Modal from "./Modal";
+
+const ConfirmDialog = ({ message, title = "Are you sure?", confirmLabel = "Confirm", danger = false, onClose }) => {
+  return (
+    <Modal title={title} onClose={() => onClose(false)}>
+      <p className="mb-6">{message}</p>
+      <div className="flex gap-2 justify-end">
+        <button
+          onClick={() => onClose(false)}
+          className="bg-gray-400 text-white px-4 py-2 rounded hover:bg-gray-500"
+        >
+          Cancel
+        </button>
+        <button
+          autoFocus
+          onClick={() => onClose(true)}
+          className={`text-white px-4 py-2 rounded ${
+            danger ? "bg-red-500 hover:bg-red-600" : "bg-blue-600 hover:bg-blue-700"
+          }`}
+        >
+          {confirmLabel}
+        </button>
+      </div>
+    </Modal>
+  );
+};
+
+export default ConfirmDialog;
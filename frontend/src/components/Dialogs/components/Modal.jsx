@@ -0,0 +1,28 @@
+const Modal = ({ title, onClose, children, className = "max-w-sm" }) => {
+  const handleKeyDown = (e) => {
+    // Keep editor shortcuts (Delete, Ctrl+Z, ...) from firing underneath the dialog
+    e.stopPropagation();
+    if (e.key === "Escape") onClose();
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-4"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+      onKeyDown={handleKeyDown}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        className={`bg-white rounded-lg shadow-lg p-6 w-full ${className}`}
+      >
+        {title && <h2 className="text-xl font-semibold mb-4">{title}</h2>}
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default Modal;
@@ -0,0 +1,24 @@
+const TOAST_STYLES = {
+  success: "bg-green-600",
+  error: "bg-red-600",
+  info: "bg-blue-600",
+};
+
+const ToastList = ({ toasts, dismissToast }) => {
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 w-80" aria-live="polite">
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          role={toast.type === "error" ? "alert" : "status"}
+          onClick={() => dismissToast(toast.id)}
+          className={`${TOAST_STYLES[toast.type] || TOAST_STYLES.info} text-white px-4 py-3 rounded shadow-lg cursor-pointer`}
+        >
+          {toast.message}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ToastList;
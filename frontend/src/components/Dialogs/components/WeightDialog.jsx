@@ -0,0 +1,57 @@
+import { useState } from "react";
+
+import Modal from "./Modal";
+import { parseWeight } from "../../GraphBuilder/graphUtils";
+
+const WeightDialog = ({ title = "Edge Weight", message, defaultValue = "1", onClose }) => {
+  const [value, setValue] = useState(String(defaultValue));
+  const [touched, setTouched] = useState(false);
+
+  const weight = parseWeight(value);
+  const error = touched && weight === null ? "Weight must be a non-negative number" : "";
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setTouched(true);
+    if (weight !== null) onClose(weight);
+  };
+
+  return (
+    <Modal title={title} onClose={() => onClose(null)}>
+      <form onSubmit={handleSubmit} className="flex flex-col gap-2">
+        {message && <p className="mb-2">{message}</p>}
+        <input
+          type="number"
+          min="0"
+          step="any"
+          autoFocus
+          value={value}
+          onChange={(e) => {
+            setValue(e.target.value);
+            setTouched(true);
+          }}
+          className={`border p-2 rounded w-full ${error ? "border-red-500" : ""}`}
+        />
+        {error && <p className="text-red-600 text-sm">{error}</p>}
+        <div className="flex gap-2 justify-end mt-4">
+          <button
+            type="button"
+            onClick={() => onClose(null)}
+            className="bg-gray-400 text-white px-4 py-2 rounded hover:bg-gray-500"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={weight === null}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            OK
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default WeightDialog;
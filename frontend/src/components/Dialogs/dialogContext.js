@@ -0,0 +1,15 @@
+import { createContext, useContext } from "react";
+
+export const DialogContext = createContext(null);
+
+/**
+ * Access the app-wide modal dialogs and toast notifications
+ * @returns {Object} - { showToast, confirm, promptWeight }
+ */
+export const useDialogs = () => {
+  const context = useContext(DialogContext);
+  if (!context) {
+    throw new Error("useDialogs must be used inside a DialogProvider");
+  }
+  return context;
+};
@@ -0,0 +1,95 @@
+import { useState, useRef, useCallback, useMemo } from "react";
+
+import { DialogContext } from "./dialogContext";
+import ConfirmDialog from "./components/ConfirmDialog";
+import WeightDialog from "./components/WeightDialog";
+import ToastList from "./components/ToastList";
+
+const TOAST_DURATION_MS = 4000;
+
+// Value a dialog resolves with when it is dismissed without an answer
+const CANCEL_VALUES = {
+  confirm: false,
+  weight: null,
+};
+
+/**
+ * Provides promise-based replacements for alert/confirm/prompt to the whole app.
+ * Only one dialog is shown at a time; opening another cancels the current one.
+ */
+const DialogProvider = ({ children }) => {
+  const [dialog, setDialog] = useState(null);
+  const [toasts, setToasts] = useState([]);
+  const nextToastId = useRef(0);
+  const openDialogRef = useRef(null);
+
+  const dismissToast = useCallback((id) => {
+    setToasts((prev) => prev.filter((toast) => toast.id !== id));
+  }, []);
+
+  /**
+   * Show a non-blocking notification
+   * @param {string} message - The text to show
+   * @param {string} type - "success", "error" or "info"
+   */
+  const showToast = useCallback((message, type = "info") => {
+    const id = nextToastId.current++;
+    setToasts((prev) => [...prev, { id, message, type }]);
+    setTimeout(() => dismissToast(id), TOAST_DURATION_MS);
+  }, [dismissToast]);
+
+  const openDialog = useCallback((kind, props) => {
+    if (openDialogRef.current) {
+      openDialogRef.current.resolve(CANCEL_VALUES[openDialogRef.current.kind]);
+    }
+
+    return new Promise((resolve) => {
+      openDialogRef.current = { kind, props, resolve };
+      setDialog(openDialogRef.current);
+    });
+  }, []);
+
+  const closeDialog = (result) => {
+    if (!openDialogRef.current) return;
+    openDialogRef.current.resolve(result);
+    openDialogRef.current = null;
+    setDialog(null);
+  };
+
+  /**
+   * Ask the user to confirm an action
+   * @param {string} message - The question to ask
+   * @param {Object} options - { title, confirmLabel, danger }
+   * @returns {Promise<boolean>} - Resolves true if the user confirmed
+   */
+  const confirm = useCallback((message, options = {}) => {
+    return openDialog("confirm", { ...options, message });
+  }, [openDialog]);
+
+  /**
+   * Ask the user for a non-negative edge weight
+   * @param {Object} options - { title, message, defaultValue }
+   * @returns {Promise<number|null>} - Resolves with the weight, or null if cancelled
+   */
+  const promptWeight = useCallback((options = {}) => {
+    return openDialog("weight", options);
+  }, [openDialog]);
+
+  const value = useMemo(
+    () => ({ showToast, confirm, promptWeight }),
+    [showToast, confirm, promptWeight]
+  );
+
+  return (
+    <DialogContext.Provider value={value}>
+      {children}
+
+      {dialog?.kind === "confirm" && <ConfirmDialog {...dialog.props} onClose={closeDialog} />}
+      {dialog?.kind === "weight" && <WeightDialog {...dialog.props} onClose={closeDialog} />}
+
+      <ToastList toasts={toasts} dismissToast={dismissToast} />
+    </DialogContext.Provider>
+  );
+};
+
+export default DialogProvider;
@@ -0,0 +1,101 @@
+// Attributes are free-form key/value pairs on nodes and edges, kept in an
+// "attributes" object on the vis.js items and in graph.data. The solver ignores them.
+
+// Offered in the attribute editor; any other key can be typed in
+export const NODE_ATTRIBUTE_SUGGESTIONS = ["address", "serviceTime", "timeWindow", "priority", "group", "color"];
+export const EDGE_ATTRIBUTE_SUGGESTIONS = ["distance", "time", "notes"];
+
+// Categorical colors for color-by-attribute, in the order values are assigned them
+const PALETTE = [
+  "#60a5fa", "#f87171", "#4ade80", "#facc15", "#c084fc",
+  "#fb923c", "#2dd4bf", "#f472b6", "#a3e635", "#94a3b8",
+];
+
+// Numeric attributes are shaded from the first color to the second
+const GRADIENT = [[219, 234, 254], [59, 130, 246]];
+
+/**
+ * Read an attribute value as typed: numbers become numbers, anything else is kept as text
+ * @param {string} text - The raw value
+ * @returns {number|string}
+ */
+export const parseAttributeValue = (text) => {
+  const value = String(text).trim();
+  const number = Number(value);
+  return value !== "" && Number.isFinite(number) ? number : value;
+};
+
+const isAttributeValue = (value) =>
+  (typeof value === "string" && value.trim() !== "") || (typeof value === "number" && Number.isFinite(value)) ||
+  typeof value === "boolean";
+
+/**
+ * Drop attributes without a key or a plain value, e.g. from a hand-edited file
+ * @param {*} attributes - Attribute values keyed by name; may be anything
+ * @returns {Object|null} - The remaining attributes, or null if there are none
+ */
+export const cleanAttributes = (attributes) => {
+  if (!attributes || typeof attributes !== "object" || Array.isArray(attributes)) return null;
+
+  const entries = Object.entries(attributes).filter(([key, value]) => key.trim() !== "" && isAttributeValue(value));
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+};
+
+/**
+ * The attributes of an item, ready to spread into a node or edge
+ * @param {Object} attributes - Attribute values keyed by name; may be null or undefined
+ * @returns {Object} - { attributes } if there are any, otherwise {}
+ */
+export const attributeFields = (attributes) => {
+  const cleaned = cleanAttributes(attributes);
+  return cleaned ? { attributes: cleaned } : {};
+};
+
+/**
+ * Every attribute name used by the given items
+ * @param {Array} items - vis.js nodes or edges, or graph.data nodes or edges
+ * @returns {Array<string>} - The names, sorted
+ */
+export const getAttributeKeys = (items) =>
+  [...new Set(items.flatMap(item => Object.keys(item.attributes ?? {})))].sort();
+
+const isNumeric = (value) => typeof value === "number" && Number.isFinite(value);
+
+const mix = (t) =>
+  `rgb(${GRADIENT[0].map((from, i) => Math.round(from + (GRADIENT[1][i] - from) * t)).join(", ")})`;
+
+/**
+ * Pick a color for each node from the value of one attribute. Numeric values are
+ * shaded from light to dark; other values each get a color of their own. A "color"
+ * attribute is used as the color itself.
+ * @param {Array} nodes - The vis.js nodes
+ * @param {string} key - The attribute to color by
+ * @returns {Object} - { colors, legend }: colors maps node id to a CSS color, for the
+ *   nodes that have the attribute; legend is [{ value, color }] in display order
+ */
+export const colorByAttribute = (nodes, key) => {
+  const valued = nodes.filter(node => cleanAttributes(node.attributes)?.[key] !== undefined);
+  const valueOf = (node) => node.attributes[key];
+  const colors = new Map();
+
+  if (key === "color") {
+    valued.forEach(node => colors.set(node.id, String(valueOf(node))));
+    const values = [...new Set(colors.values())].sort();
+    return { colors, legend: values.map(value => ({ value, color: value })) };
+  }
+
+  if (valued.length > 0 && valued.every(node => isNumeric(valueOf(node)))) {
+    const values = valued.map(valueOf);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const shade = (value) => mix(max === min ? 1 : (value - min) / (max - min));
+    valued.forEach(node => colors.set(node.id, shade(valueOf(node))));
+    const legend = max === min ? [{ value: min, color: shade(min) }] : [min, max].map(value => ({ value, color: shade(value) }));
+    return { colors, legend };
+  }
+
+  const values = [...new Set(valued.map(node => String(valueOf(node))))].sort((a, b) => a.localeCompare(b));
+  const colorOf = new Map(values.map((value, index) => [value, PALETTE[index % PALETTE.length]]));
+  valued.forEach(node => colors.set(node.id, colorOf.get(String(valueOf(node)))));
+  return { colors, legend: values.map(value => ({ value, color: colorOf.get(value) })) };
+};
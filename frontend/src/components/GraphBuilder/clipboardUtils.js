@@ -0,0 +1,47 @@
+import { parseWeight } from "./graphUtils";
+import { attributeFields } from "./attributeUtils";
+
+// Marks clipboard text as a copied subgraph rather than an edge list to import
+const SUBGRAPH_TYPE = "graphworks/subgraph";
+
+/**
+ * Serialize selected nodes, the edges between them, their attributes and canvas positions
+ * for the system clipboard, so they can be pasted into any graph, on any route
+ * @param {Array} nodes - The vis.js nodes to copy
+ * @param {Array} edges - The vis.js edges between them
+ * @param {Object} positions - Canvas positions keyed by node id
+ * @param {boolean} directed - Whether the source graph is directed
+ * @returns {string} - JSON text
+ */
+export const serializeSubgraph = (nodes, edges, positions, directed) =>
+  JSON.stringify({
+    type: SUBGRAPH_TYPE,
+    directed,
+    nodes: nodes.map(node => ({ label: node.label, ...positions[node.id], ...attributeFields(node.attributes) })),
+    edges: edges.map(edge => ({
+      from: edge.from,
+      to: edge.to,
+      weight: parseWeight(edge.label) ?? 1,
+      ...(edge.bidirectional ? { bidirectional: true } : {}),
+      ...attributeFields(edge.attributes)
+    }))
+  });
+
+/**
+ * Read clipboard text written by serializeSubgraph
+ * @param {string} text - The clipboard text
+ * @returns {Object|null} - { directed, nodes, edges }, or null if the text is anything else
+ */
+export const parseSubgraph = (text) => {
+  if (!text || !text.trimStart().startsWith("{")) return null;
+
+  try {
+    const data = JSON.parse(text);
+    if (data?.type !== SUBGRAPH_TYPE || !Array.isArray(data.nodes) || !Array.isArray(data.edges)) {
+      return null;
+    }
+    return data;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,100 @@
+import { useState, useId } from "react";
+
+import { parseAttributeValue } from "../attributeUtils";
+
+const toRows = (attributes) =>
+  Object.entries(attributes ?? {}).map(([key, value]) => ({ key, value: String(value) }));
+
+/**
+ * Turn the edited rows back into attributes
+ * @param {Array} rows - [{ key, value }] as typed
+ * @returns {Object} - { attributes } or { error }
+ */
+const fromRows = (rows) => {
+  const attributes = {};
+  for (const row of rows) {
+    const key = row.key.trim();
+    if (!key && !row.value.trim()) continue;
+    if (!key) return { error: "Every attribute needs a name!" };
+    if (key in attributes) return { error: `Attribute "${key}" is listed twice!` };
+    attributes[key] = parseAttributeValue(row.value);
+  }
+  return { attributes };
+};
+
+// Key/value rows for the attributes of one node or edge, saved together as one step
+const AttributeEditor = ({ attributes, suggestions, onSave }) => {
+  const [rows, setRows] = useState(() => toRows(attributes));
+  const [error, setError] = useState("");
+  const suggestionListId = useId();
+
+  const isUnchanged = JSON.stringify(rows) === JSON.stringify(toRows(attributes));
+
+  const updateRow = (index, field, value) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleSave = () => {
+    const result = fromRows(rows);
+    setError(result.error || onSave(result.attributes) || "");
+  };
+
+  return (
+    <div className="flex flex-col gap-2 border-t pt-2">
+      <span className="block text-sm font-medium">Attributes</span>
+      {rows.length === 0 && <p className="text-gray-500">None yet.</p>}
+      {rows.map((row, index) => (
+        <div key={index} className="flex gap-1">
+          <input
+            type="text"
+            list={suggestionListId}
+            aria-label="Attribute name"
+            placeholder="Name"
+            value={row.key}
+            onChange={(e) => updateRow(index, "key", e.target.value)}
+            className="border p-1 rounded w-24 min-w-0"
+          />
+          <input
+            type="text"
+            aria-label="Attribute value"
+            placeholder="Value"
+            value={row.value}
+            onChange={(e) => updateRow(index, "value", e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleSave()}
+            className="border p-1 rounded w-full min-w-0"
+          />
+          <button
+            onClick={() => setRows(rows.filter((_, i) => i !== index))}
+            title="Remove attribute"
+            className="px-2 text-red-500 hover:text-red-700"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <datalist id={suggestionListId}>
+        {suggestions.map((key) => (
+          <option key={key} value={key} />
+        ))}
+      </datalist>
+      <div className="flex gap-2">
+        <button
+          onClick={() => setRows([...rows, { key: "", value: "" }])}
+          className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 transition"
+        >
+          Add attribute
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={isUnchanged}
+          className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 transition disabled:opacity-50"
+        >
+          Save
+        </button>
+      </div>
+      {error && <p className="text-red-600 text-sm">{error}</p>}
+    </div>
+  );
+};
+
+export default AttributeEditor;
@@ -0,0 +1,38 @@
+const MAX_LEGEND_ENTRIES = 12;
+
+const ColorByPanel = ({ colorBy, setColorBy, attributeKeys, legend }) => (
+  <div className="border p-4 rounded-lg bg-white shadow-md text-sm flex flex-col gap-2">
+    <span className="font-semibold text-base">Color by Attribute</span>
+    {attributeKeys.length === 0 ? (
+      <p className="text-gray-500">Give nodes attributes, e.g. a group or priority, to color them by one.</p>
+    ) : (
+      <>
+        <select
+          className="border px-2 py-1 rounded"
+          value={attributeKeys.includes(colorBy) ? colorBy : ""}
+          onChange={(e) => setColorBy(e.target.value)}
+        >
+          <option value="">Default colors</option>
+          {attributeKeys.map((key) => (
+            <option key={key} value={key}>{key}</option>
+          ))}
+        </select>
+        {legend.length > 0 && (
+          <ul className="flex flex-col gap-1">
+            {legend.slice(0, MAX_LEGEND_ENTRIES).map(({ value, color }) => (
+              <li key={value} className="flex items-center gap-2">
+                <span className="w-4 h-4 rounded-full border flex-shrink-0" style={{ backgroundColor: color }} />
+                <span className="truncate">{String(value)}</span>
+              </li>
+            ))}
+            {legend.length > MAX_LEGEND_ENTRIES && (
+              <li className="text-gray-500">...and {legend.length - MAX_LEGEND_ENTRIES} more</li>
+            )}
+          </ul>
+        )}
+      </>
+    )}
+  </div>
+);
+
+export default ColorByPanel;
@@ -0,0 +1,169 @@
+import useGraphValidation from "../useGraphValidation";
+import useGraphFilter from "../useGraphFilter";
+import useAttributeColors from "../useAttributeColors";
+import SelectedItemInfo from "./SelectedItemInfo";
+import GraphControls from "./GraphControls";
+import ImportWizard from "./ImportWizard";
+import GraphCanvas from "./GraphCanvas";
+import ValidationPanel from "./ValidationPanel";
+import SearchPanel from "./SearchPanel";
+import ColorByPanel from "./ColorByPanel";
+import ExportMenu from "./ExportMenu";
+
+// The editing workspace shared by the builder and editor pages: controls, export and
+// the inspector on the left, the canvas, then search, colors and the graph check on
+// the right, plus the import wizard for files dropped, pasted or picked on the page.
+// editor is the result of useGraphEditor; the pages only add their own header and footer.
+const EditorLayout = ({ editor, networkContainer, fileName, importFile, setImportFile }) => {
+  const {
+    networkNodes,
+    networkEdges,
+    networkInstance,
+    newNodeName,
+    setNewNodeName,
+    selection,
+    selectionBox,
+    selectedItem,
+    selectedItemType,
+    selectedAttributes,
+    history,
+    future,
+    isConnectModeActive,
+    isDirected,
+    isPhysicsFrozen,
+    setIsPhysicsFrozen,
+    distanceMetric,
+    setGraphDistanceMetric,
+    layoutProgress,
+    importGraph,
+    addNode,
+    renameNode,
+    updateEdgeWeight,
+    setEdgeBidirectional,
+    setItemAttributes,
+    setGraphDirected,
+    getGraphData,
+    connectNodes,
+    deleteSelected,
+    setSelectionWeight,
+    duplicateSelection,
+    pasteSubgraph,
+    connectSelection,
+    focusNode,
+    undo,
+    redo,
+    fitGraph,
+    clearGraph
+  } = editor;
+  const { report, showProblems, setShowProblems } =
+    useGraphValidation(networkNodes, networkEdges, networkInstance, isDirected);
+  const { filter, setFilter, matches } = useGraphFilter(networkNodes, networkEdges);
+  const { colorBy, setColorBy, attributeKeys, legend } = useAttributeColors(networkNodes);
+
+  const handleImport = (graph, mode) => {
+    importGraph(graph, mode);
+    setImportFile(null);
+  };
+
+  return (
+    <>
+      {/* Main content area with side-by-side layout */}
+      <div className="flex gap-3 h-[95vh]">
+        {/* Left side - Graph Controls + Selected Item Info */}
+        <div className="w-64 flex-shrink-0 h-full flex flex-col">
+          {/* GraphControls - No flex-grow */}
+          <div className="overflow-y-auto">
+            <GraphControls
+              newNodeName={newNodeName}
+              setNewNodeName={setNewNodeName}
+              addNode={addNode}
+              connectNodes={connectNodes}
+              isConnectModeActive={isConnectModeActive}
+              deleteSelected={deleteSelected}
+              undo={undo}
+              redo={redo}
+              clearGraph={clearGraph}
+              hasSelection={selection.nodes.length + selection.edges.length > 0}
+              history={history}
+              future={future}
+              fitGraph={fitGraph}
+              isDirected={isDirected}
+              setGraphDirected={setGraphDirected}
+              isPhysicsFrozen={isPhysicsFrozen}
+              setIsPhysicsFrozen={setIsPhysicsFrozen}
+              distanceMetric={distanceMetric}
+              setGraphDistanceMetric={setGraphDistanceMetric}
+            />
+          </div>
+          <div className="flex-shrink-0 mt-2">
+            <ExportMenu
+              getGraphData={getGraphData}
+              fileName={fileName}
+            />
+          </div>
+          {/* Selected Item Info - Added mt-2 for a small gap */}
+          <div className="flex-shrink-0 mt-2">
+            <SelectedItemInfo
+              selection={selection}
+              selectedItem={selectedItem}
+              selectedItemType={selectedItemType}
+              selectedAttributes={selectedAttributes}
+              isDirected={isDirected}
+              distanceMetric={distanceMetric}
+              renameNode={renameNode}
+              updateEdgeWeight={updateEdgeWeight}
+              setEdgeBidirectional={setEdgeBidirectional}
+              setItemAttributes={setItemAttributes}
+              setSelectionWeight={setSelectionWeight}
+              duplicateSelection={duplicateSelection}
+              connectSelection={connectSelection}
+              deleteSelected={deleteSelected}
+            />
+          </div>
+        </div>
+        {/* Right side - Network Container */}
+        <GraphCanvas
+          networkContainer={networkContainer}
+          selectionBox={selectionBox}
+          layoutProgress={layoutProgress}
+          onImport={setImportFile}
+          pasteSubgraph={pasteSubgraph}
+          disabled={importFile !== null}
+        />
+        {/* Right side - Search, Colors + Graph Check */}
+        <div className="w-72 flex-shrink-0 h-full overflow-y-auto flex flex-col gap-2">
+          <SearchPanel
+            networkNodes={networkNodes}
+            focusNode={focusNode}
+            filter={filter}
+            setFilter={setFilter}
+            matches={matches}
+          />
+          <ColorByPanel
+            colorBy={colorBy}
+            setColorBy={setColorBy}
+            attributeKeys={attributeKeys}
+            legend={legend}
+          />
+          <ValidationPanel
+            report={report}
+            showProblems={showProblems}
+            setShowProblems={setShowProblems}
+            focusNode={focusNode}
+          />
+        </div>
+      </div>
+
+      {importFile && (
+        <ImportWizard
+          file={importFile}
+          hasExistingGraph={networkNodes.length > 0}
+          onImport={handleImport}
+          onClose={() => setImportFile(null)}
+        />
+      )}
+    </>
+  );
+};
+
+export default EditorLayout;
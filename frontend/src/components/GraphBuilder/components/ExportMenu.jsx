@@ -0,0 +1,46 @@
+import { useState } from "react";
+
+import { EXPORT_FORMATS, downloadGraph } from "../exportUtils";
+import { useDialogs } from "../../Dialogs/dialogContext";
+
+const ExportMenu = ({ getGraphData, fileName }) => {
+  const { showToast } = useDialogs();
+  const [format, setFormat] = useState("csv");
+
+  const handleExport = () => {
+    const graphData = getGraphData();
+    if (graphData.nodes.length === 0) {
+      showToast("There is no graph to export!", "error");
+      return;
+    }
+
+    try {
+      downloadGraph(graphData, format, fileName);
+    } catch (error) {
+      console.error("Error exporting graph:", error);
+      showToast("Failed to export graph", "error");
+    }
+  };
+
+  return (
+    <div className="flex gap-2">
+      <select
+        className="border rounded p-2 flex-grow min-w-0"
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+      >
+        {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <button
+        onClick={handleExport}
+        className="px-3 py-2 bg-teal-600 text-white rounded hover:bg-teal-700 transition"
+      >
+        Export
+      </button>
+    </div>
+  );
+};
+
+export default ExportMenu;
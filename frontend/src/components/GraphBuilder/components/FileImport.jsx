@@ -1,10 +1,13 @@
 const FileImport = ({ handleFileUpload }) => {
   return (
     <div className="border p-4 rounded bg-white shadow-sm flex flex-wrap gap-2 items-center mt-4">
-      <span className="font-semibold text-xl w-full mb-2">Import a Graph From a File</span>
+      <span className="font-semibold text-xl w-full">Import a Graph From a File</span>
+      <span className="text-sm text-gray-600 w-full mb-2">
+        You can also drop a file onto the canvas, or paste an edge list with Ctrl+V.
+      </span>
       <input
         type="file"
-        accept=".csv"
+        accept=".csv,.tsv,.txt,.json,.graphml,.xml,.dot,.gv,.tsp,.atsp"
         onChange={handleFileUpload}
         className="p-2 border rounded cursor-pointer hover:border-blue-500 hover:bg-blue-50 transition w-full"
       />
@@ -0,0 +1,119 @@
+import { useState } from "react";
+
+import {
+  GENERATORS,
+  MAX_GENERATED_NODES,
+  generateGraph,
+  validateGeneratorParams,
+  randomSeed
+} from "../generatorUtils";
+
+const NumberField = ({ label, value, onChange, ...inputProps }) => (
+  <label className="flex flex-col gap-1 text-sm font-medium">
+    {label}
+    <input
+      type="number"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="border p-2 rounded font-normal w-28"
+      {...inputProps}
+    />
+  </label>
+);
+
+const GeneratorPanel = ({ onGenerate }) => {
+  const [generatorId, setGeneratorId] = useState("complete");
+  const [nodeCount, setNodeCount] = useState("10");
+  const [minWeight, setMinWeight] = useState("1");
+  const [maxWeight, setMaxWeight] = useState("100");
+  const [edgeProbability, setEdgeProbability] = useState("0.3");
+  const [symmetric, setSymmetric] = useState(true);
+  const [seed, setSeed] = useState(randomSeed);
+  const [error, setError] = useState("");
+
+  const handleGenerate = () => {
+    const params = {
+      nodeCount: Number(nodeCount),
+      minWeight: Number(minWeight),
+      maxWeight: Number(maxWeight),
+      edgeProbability: Number(edgeProbability),
+      symmetric,
+      seed
+    };
+
+    const validationError = validateGeneratorParams(generatorId, params);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    try {
+      onGenerate(generateGraph(generatorId, params));
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="border p-4 rounded bg-white shadow-sm flex flex-wrap gap-3 items-end">
+      <span className="font-semibold text-xl w-full">Generate a Random Graph</span>
+      <span className="text-sm text-gray-600 w-full">
+        {GENERATORS[generatorId].description} The same settings and seed always give the same graph.
+      </span>
+      <label className="flex flex-col gap-1 text-sm font-medium">
+        Generator
+        <select
+          value={generatorId}
+          onChange={(e) => setGeneratorId(e.target.value)}
+          className="border p-2 rounded font-normal"
+        >
+          {Object.entries(GENERATORS).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <NumberField label="Nodes" value={nodeCount} onChange={setNodeCount} min="2" max={MAX_GENERATED_NODES} step="1" />
+      <NumberField label="Min weight" value={minWeight} onChange={setMinWeight} min="0" step="any" />
+      <NumberField label="Max weight" value={maxWeight} onChange={setMaxWeight} min="0" step="any" />
+      {generatorId === "erdosRenyi" && (
+        <NumberField label="Edge probability" value={edgeProbability} onChange={setEdgeProbability} min="0" max="1" step="0.05" />
+      )}
+      {generatorId === "complete" && (
+        <label className="flex items-center gap-2 text-sm font-medium py-2">
+          <input type="checkbox" checked={symmetric} onChange={(e) => setSymmetric(e.target.checked)} />
+          Symmetric
+        </label>
+      )}
+      <div className="flex flex-col gap-1 text-sm font-medium">
+        Seed
+        <div className="flex gap-1">
+          <input
+            type="text"
+            aria-label="Seed"
+            value={seed}
+            onChange={(e) => setSeed(e.target.value)}
+            className="border p-2 rounded font-normal w-28"
+          />
+          <button
+            onClick={() => setSeed(randomSeed())}
+            title="Pick a new random seed"
+            className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300 transition"
+          >
+            New
+          </button>
+        </div>
+      </div>
+      <button
+        onClick={handleGenerate}
+        className="px-5 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition"
+      >
+        Generate
+      </button>
+      {error && <p className="text-red-600 text-sm w-full">{error}</p>}
+      <span className="text-sm text-gray-500 w-full">Generating replaces the graph on the canvas; Undo brings it back.</span>
+    </div>
+  );
+};
+
+export default GeneratorPanel;
@@ -0,0 +1,111 @@
+import { useState, useEffect, useRef } from "react";
+
+import { isTypingTarget } from "../graphUtils";
+import { useDialogs } from "../../Dialogs/dialogContext";
+import LayoutProgress from "./LayoutProgress";
+
+// The network container, accepting graph files dropped on it and graph text pasted
+// anywhere on the page. Both are handed to onImport for the import wizard, except
+// for subgraphs copied from a canvas, which pasteSubgraph adds directly.
+// Also draws the Shift+drag selection rectangle and the progress of a background layout.
+const GraphCanvas = ({ networkContainer, selectionBox, layoutProgress, onImport, pasteSubgraph, disabled }) => {
+  const { showToast } = useDialogs();
+  const [isDragging, setIsDragging] = useState(false);
+  // dragenter/dragleave fire for every child element, so count them
+  const dragDepth = useRef(0);
+
+  const onImportRef = useRef(onImport);
+  const pasteSubgraphRef = useRef(pasteSubgraph);
+  useEffect(() => {
+    onImportRef.current = onImport;
+    pasteSubgraphRef.current = pasteSubgraph;
+  }, [onImport, pasteSubgraph]);
+
+  useEffect(() => {
+    if (disabled) return;
+
+    const handlePaste = (event) => {
+      if (isTypingTarget(event)) return;
+
+      const file = event.clipboardData?.files[0];
+      const text = event.clipboardData?.getData("text/plain");
+      if (!file && !text?.trim()) return;
+
+      event.preventDefault();
+      if (!file && pasteSubgraphRef.current?.(text)) return;
+      onImportRef.current(file || text);
+    };
+
+    document.addEventListener("paste", handlePaste);
+    return () => document.removeEventListener("paste", handlePaste);
+  }, [disabled]);
+
+  const isFileDrag = (event) => Array.from(event.dataTransfer.types).includes("Files");
+
+  const handleDragEnter = (event) => {
+    if (disabled || !isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth.current++;
+    setIsDragging(true);
+  };
+
+  const handleDragOver = (event) => {
+    if (disabled || !isFileDrag(event)) return;
+    // Required for the drop event to fire
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "copy";
+  };
+
+  const handleDragLeave = () => {
+    dragDepth.current = Math.max(0, dragDepth.current - 1);
+    if (dragDepth.current === 0) setIsDragging(false);
+  };
+
+  const handleDrop = (event) => {
+    if (disabled || !isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth.current = 0;
+    setIsDragging(false);
+
+    const files = event.dataTransfer.files;
+    if (files.length === 0) {
+      showToast("Only files can be dropped here.", "error");
+      return;
+    }
+    if (files.length > 1) {
+      showToast("Drop one file at a time.", "error");
+      return;
+    }
+    onImportRef.current(files[0]);
+  };
+
+  return (
+    <div
+      className="relative flex-grow flex flex-col"
+      onDragEnter={handleDragEnter}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      <div
+        ref={networkContainer}
+        style={{ width: "100%", height: "100%" }}
+        className="bg-white shadow-md rounded w-full border border-gray-300"
+      />
+      {selectionBox && (
+        <div
+          className="absolute pointer-events-none border border-blue-500 bg-blue-200/30"
+          style={selectionBox}
+        />
+      )}
+      {layoutProgress !== null && <LayoutProgress progress={layoutProgress} />}
+      {isDragging && (
+        <div className="absolute inset-0 pointer-events-none rounded border-4 border-dashed border-blue-500 bg-blue-50/80 flex items-center justify-center">
+          <span className="text-xl font-semibold text-blue-700">Drop a graph file to import it</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GraphCanvas;
@@ -1,3 +1,5 @@
+import { DISTANCE_METRICS } from "../distanceUtils";
+
 const GraphControls = ({
   newNodeName,
   setNewNodeName,
@@ -6,10 +8,18 @@ const GraphControls = ({
   isConnectModeActive,
   deleteSelected,
   undo,
+  redo,
   clearGraph,
-  selectedItem,
+  hasSelection,
   history,
-  fitGraph
+  future,
+  fitGraph,
+  isDirected,
+  setGraphDirected,
+  isPhysicsFrozen,
+  setIsPhysicsFrozen,
+  distanceMetric,
+  setGraphDistanceMetric
 }) => {
   const handleKeyPress = (e) => {
     if (e.key === "Enter") addNode();
@@ -47,9 +57,9 @@ const GraphControls = ({
         </button>
         <button
           onClick={deleteSelected}
-          disabled={!selectedItem}
+          disabled={!hasSelection}
           className={`px-5 py-3 text-base rounded-md transition ${
-            selectedItem
+            hasSelection
               ? "bg-red-500 text-white hover:bg-red-600"
               : "bg-gray-300 text-gray-500 cursor-not-allowed"
           }`}
@@ -59,6 +69,7 @@ const GraphControls = ({
         <button
           onClick={undo}
           disabled={history.length === 0}
+          title={history.length > 0 ? `Undo ${history[history.length - 1].label} (Ctrl+Z)` : ""}
           className={`px-5 py-3 text-base rounded-md transition ${
             history.length > 0
               ? "bg-yellow-500 text-white hover:bg-yellow-600"
@@ -67,10 +78,56 @@ const GraphControls = ({
         >
           Undo
         </button>
+        <button
+          onClick={redo}
+          disabled={future.length === 0}
+          title={future.length > 0 ? `Redo ${future[future.length - 1].label} (Ctrl+Shift+Z)` : ""}
+          className={`px-5 py-3 text-base rounded-md transition ${
+            future.length > 0
+              ? "bg-yellow-500 text-white hover:bg-yellow-600"
+              : "bg-gray-300 text-gray-500 cursor-not-allowed"
+          }`}
+        >
+          Redo
+        </button>
       </div>
 
       {/* Graph Management */}
       <div className="grid grid-cols-1 gap-3">
+        <div className="grid grid-cols-2 rounded-md border overflow-hidden text-base" role="group" aria-label="Edge direction">
+          <button
+            onClick={() => setGraphDirected(true)}
+            className={`py-2 transition ${isDirected ? "bg-gray-700 text-white" : "bg-white hover:bg-gray-100"}`}
+          >
+            Directed
+          </button>
+          <button
+            onClick={() => setGraphDirected(false)}
+            className={`py-2 transition ${!isDirected ? "bg-gray-700 text-white" : "bg-white hover:bg-gray-100"}`}
+          >
+            Undirected
+          </button>
+        </div>
+        <label className="flex flex-col gap-1 text-base">
+          Edge weights
+          <select
+            value={distanceMetric ?? ""}
+            onChange={(e) => setGraphDistanceMetric(e.target.value || null)}
+            className="border p-2 rounded-md"
+          >
+            <option value="">Entered by hand</option>
+            {Object.entries(DISTANCE_METRICS).map(([id, { label }]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {distanceMetric && (
+          <p className="text-sm text-gray-500">
+            Double-click the canvas to place a node. Every node is connected to the others,
+            and weights follow the nodes as you drag them.
+            {distanceMetric === "haversine" && " Left to right is longitude and bottom to top latitude."}
+          </p>
+        )}
         <button
           onClick={clearGraph}
           className="px-5 py-3 bg-orange-500 text-white text-base rounded-md hover:bg-orange-600 transition"
@@ -83,6 +140,17 @@ const GraphControls = ({
         >
           Fit Graph
         </button>
+        <button
+          onClick={() => setIsPhysicsFrozen(!isPhysicsFrozen)}
+          // Coordinate mode needs nodes to stay where they are placed
+          disabled={Boolean(distanceMetric)}
+          title="When frozen, nodes stay exactly where you drag them"
+          className={`px-5 py-3 text-base rounded-md transition text-white disabled:opacity-50 ${
+            isPhysicsFrozen ? "bg-cyan-700 hover:bg-cyan-800" : "bg-cyan-500 hover:bg-cyan-600"
+          }`}
+        >
+          {isPhysicsFrozen ? "Unfreeze Layout" : "Freeze Layout"}
+        </button>
       </div>
     </div>
   );
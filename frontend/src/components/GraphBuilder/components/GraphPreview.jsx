@@ -0,0 +1,42 @@
+import { useEffect, useRef } from "react";
+import { Network } from "vis-network";
+
+import { networkOptions } from "../networkConfig";
+
+// Above this many nodes the preview is skipped; laying out the full graph here would stall the dialog
+const MAX_PREVIEW_NODES = 150;
+
+const previewOptions = {
+  ...networkOptions,
+  physics: {
+    ...networkOptions.physics,
+    stabilization: { iterations: 100, fit: true },
+  },
+  nodes: { ...networkOptions.nodes, shadow: false },
+  edges: { ...networkOptions.edges, shadow: false, font: { size: 12, align: "middle" } },
+  interaction: { ...networkOptions.interaction, dragNodes: false, hover: false },
+};
+
+const GraphPreview = ({ nodes, edges }) => {
+  const container = useRef(null);
+  const tooLarge = nodes.length > MAX_PREVIEW_NODES;
+
+  useEffect(() => {
+    if (!container.current || tooLarge) return;
+
+    const network = new Network(container.current, { nodes, edges }, previewOptions);
+    return () => network.destroy();
+  }, [nodes, edges, tooLarge]);
+
+  if (tooLarge) {
+    return (
+      <div className="h-64 flex items-center justify-center bg-gray-50 border rounded text-gray-600 text-sm">
+        Preview unavailable for graphs with more than {MAX_PREVIEW_NODES} nodes.
+      </div>
+    );
+  }
+
+  return <div ref={container} className="h-64 bg-white border rounded" />;
+};
+
+export default GraphPreview;
@@ -0,0 +1,266 @@
+import { useState, useEffect, useMemo } from "react";
+
+import Modal from "../../Dialogs/components/Modal";
+import GraphPreview from "./GraphPreview";
+import { guessColumnMapping, buildGraphFromRows, getAttributeColumns } from "../csvUtils";
+import { DISTANCE_METRICS } from "../distanceUtils";
+import { getImporters, getImporter, detectImporter, readImportText } from "../importers";
+
+const MAX_LISTED_EDGES = 50;
+
+const ColumnSelect = ({ label, value, onChange, headers, optional }) => (
+  <label className="flex flex-col gap-1 text-sm font-medium">
+    {label}
+    <select
+      className="border rounded p-2 font-normal"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      {optional && <option value="">None (every edge weighs 1)</option>}
+      {headers.map((header) => (
+        <option key={header} value={header}>{header}</option>
+      ))}
+    </select>
+  </label>
+);
+
+const RejectedRows = ({ rejected }) => {
+  if (rejected.length === 0) {
+    return <p className="text-sm text-green-700">Everything in the file was imported.</p>;
+  }
+
+  return (
+    <div>
+      <h3 className="font-semibold text-red-700 mb-1">
+        {rejected.length} {rejected.length === 1 ? "entry" : "entries"} rejected
+      </h3>
+      <ul className="max-h-40 overflow-y-auto border rounded text-sm divide-y">
+        {rejected.map(({ where, reason }, index) => (
+          <li key={index} className="px-2 py-1">
+            <span className="font-medium">{where}:</span> {reason}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const ImportWizard = ({ file, hasExistingGraph, onImport, onClose }) => {
+  const [text, setText] = useState(null);
+  const [importerId, setImporterId] = useState("");
+  const [table, setTable] = useState(null);
+  const [parsedGraph, setParsedGraph] = useState(null);
+  const [parseError, setParseError] = useState("");
+  const [mapping, setMapping] = useState({ source: "", target: "", weight: "" });
+  const [step, setStep] = useState("map");
+  const [mode, setMode] = useState("replace");
+
+  const fileName = typeof file === "string" ? "pasted data" : file.name;
+  const importer = getImporter(importerId);
+  const isTable = importer?.kind === "table";
+
+  useEffect(() => {
+    let cancelled = false;
+
+    readImportText(file)
+      .then((contents) => {
+        if (cancelled) return;
+        const detected = detectImporter(typeof file === "string" ? "" : file.name, contents);
+        setText(contents);
+        if (detected) {
+          setImporterId(detected.id);
+        } else {
+          setParseError("The file's format wasn't recognised. Choose one above.");
+        }
+      })
+      .catch((error) => {
+        console.error("Error reading import file:", error);
+        if (!cancelled) setParseError("The file couldn't be read.");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  useEffect(() => {
+    if (text === null || !importer) return;
+    let cancelled = false;
+
+    Promise.resolve()
+      .then(() => importer.parse(text))
+      .then((result) => {
+        if (cancelled) return;
+        if (importer.kind === "table") {
+          setTable(result);
+          setMapping(guessColumnMapping(result.headers));
+          setStep("map");
+        } else {
+          setParsedGraph(result);
+          setStep("review");
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) setParseError(error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [text, importer]);
+
+  const changeFormat = (id) => {
+    setTable(null);
+    setParsedGraph(null);
+    setParseError("");
+    setImporterId(id);
+  };
+
+  const mappingError =
+    !mapping.source || !mapping.target
+      ? "Choose a source and a target column."
+      : mapping.source === mapping.target
+        ? "Source and target must be different columns."
+        : "";
+
+  const tableGraph = useMemo(
+    () => (table && !mappingError ? buildGraphFromRows(table.rows, mapping) : null),
+    [table, mapping, mappingError]
+  );
+  const graph = isTable ? tableGraph : parsedGraph;
+
+  const attributeColumns = table ? getAttributeColumns(table.headers, mapping) : [];
+
+  const updateMapping = (field) => (value) => setMapping((prev) => ({ ...prev, [field]: value }));
+
+  let content;
+  if (parseError) {
+    content = <p className="text-red-600">{parseError}</p>;
+  } else if (isTable ? !table : !parsedGraph) {
+    content = <p className="animate-pulse">Reading {fileName}...</p>;
+  } else if (isTable && step === "map") {
+    content = (
+      <div className="flex flex-col gap-4">
+        <p className="text-sm text-gray-600">
+          {table.rows.length} rows found in {fileName}. Choose which columns describe each edge.
+        </p>
+        <div className="grid grid-cols-3 gap-3">
+          <ColumnSelect label="Source" value={mapping.source} onChange={updateMapping("source")} headers={table.headers} />
+          <ColumnSelect label="Target" value={mapping.target} onChange={updateMapping("target")} headers={table.headers} />
+          <ColumnSelect label="Weight" value={mapping.weight} onChange={updateMapping("weight")} headers={table.headers} optional />
+        </div>
+        {mappingError ? (
+          <p className="text-red-600 text-sm">{mappingError}</p>
+        ) : (
+          <p className="text-sm">
+            {graph.nodes.length} nodes and {graph.edges.length} edges will be imported
+            {graph.rejected.length > 0 && `, ${graph.rejected.length} rows rejected`}.
+          </p>
+        )}
+        {attributeColumns.length > 0 && (
+          <p className="text-sm text-gray-600">
+            Imported as edge attributes: {attributeColumns.join(", ")}
+          </p>
+        )}
+      </div>
+    );
+  } else {
+    content = (
+      <div className="flex flex-col gap-4">
+        <p className="text-sm">
+          <strong>{graph.nodes.length}</strong> nodes, <strong>{graph.edges.length}</strong> edges
+        </p>
+        {graph.metric && (
+          <p className="text-sm text-gray-600">
+            Every pair of nodes will be connected, weighted by {DISTANCE_METRICS[graph.metric].label.toLowerCase()}.
+          </p>
+        )}
+        <GraphPreview nodes={graph.nodes} edges={graph.edges} />
+        <details className="text-sm">
+          <summary className="cursor-pointer font-medium">Edges</summary>
+          <table className="w-full mt-1">
+            <thead>
+              <tr className="text-left border-b">
+                <th>From</th><th>To</th><th>Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {graph.edges.slice(0, MAX_LISTED_EDGES).map((edge) => (
+                <tr key={edge.id}>
+                  <td>{edge.from}</td><td>{edge.to}</td><td>{edge.label}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {graph.edges.length > MAX_LISTED_EDGES && (
+            <p className="text-gray-600 mt-1">...and {graph.edges.length - MAX_LISTED_EDGES} more</p>
+          )}
+        </details>
+        <RejectedRows rejected={graph.rejected} />
+        {hasExistingGraph && (
+          <fieldset className="flex gap-4 text-sm">
+            <legend className="font-medium mb-1">The canvas already has a graph:</legend>
+            <label className="flex items-center gap-1">
+              <input type="radio" name="import-mode" checked={mode === "replace"} onChange={() => setMode("replace")} />
+              Replace it
+            </label>
+            <label className="flex items-center gap-1">
+              <input type="radio" name="import-mode" checked={mode === "merge"} onChange={() => setMode("merge")} />
+              Merge into it
+            </label>
+          </fieldset>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <Modal title="Import Graph" onClose={onClose} className="max-w-2xl max-h-[90vh] overflow-y-auto">
+      {text !== null && (
+        <label className="flex items-center gap-2 text-sm font-medium mb-4">
+          Format
+          <select
+            className="border rounded p-2 font-normal flex-grow"
+            value={importerId}
+            onChange={(e) => changeFormat(e.target.value)}
+          >
+            {!importer && <option value="">Choose a format</option>}
+            {getImporters().map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      {content}
+      <div className="flex gap-2 justify-end mt-6">
+        <button onClick={onClose} className="bg-gray-400 text-white px-4 py-2 rounded hover:bg-gray-500">
+          Cancel
+        </button>
+        {isTable && step === "review" && (
+          <button onClick={() => setStep("map")} className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700">
+            Back
+          </button>
+        )}
+        {isTable && step === "map" ? (
+          <button
+            onClick={() => setStep("review")}
+            disabled={!graph}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            Next
+          </button>
+        ) : (
+          <button
+            onClick={() => onImport(graph, hasExistingGraph ? mode : "replace")}
+            disabled={!graph || (graph.edges.length === 0 && !(graph.metric && graph.nodes.length > 0))}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            Import
+          </button>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,13 @@
+// Shown over the canvas while a large graph is laid out in the background
+const LayoutProgress = ({ progress }) => (
+  <div className="absolute inset-x-0 top-0 p-3 pointer-events-none flex justify-center">
+    <div className="bg-white/90 border rounded shadow px-4 py-2 w-72 text-sm">
+      <p className="mb-1">Laying out large graph... {Math.round(progress * 100)}%</p>
+      <div className="h-2 bg-gray-200 rounded overflow-hidden">
+        <div className="h-full bg-blue-500 transition-all" style={{ width: `${progress * 100}%` }} />
+      </div>
+    </div>
+  </div>
+);
+
+export default LayoutProgress;
@@ -0,0 +1,114 @@
+import { useState, useId } from "react";
+
+import { FILTERS, searchNodes } from "../searchUtils";
+
+const SearchPanel = ({ networkNodes, focusNode, filter, setFilter, matches }) => {
+  const [query, setQuery] = useState("");
+  const nodeListId = useId();
+
+  const nodes = networkNodes ? networkNodes.get() : [];
+  const results = query.trim() ? searchNodes(nodes, query) : [];
+
+  // Enter jumps straight to the best match
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" && results.length > 0) {
+      focusNode(results[0].id);
+    }
+  };
+
+  const setFilterType = (type) => {
+    setFilter(type ? { type, value: "" } : null);
+  };
+
+  return (
+    <div className="border p-4 rounded-lg bg-white shadow-md text-sm flex flex-col gap-2">
+      <span className="font-semibold text-base">Find</span>
+      <input
+        type="search"
+        className="border px-2 py-1 rounded"
+        placeholder="Search nodes"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={handleKeyDown}
+      />
+      {query.trim() && (
+        results.length === 0 ? (
+          <p className="text-gray-500">No matching nodes.</p>
+        ) : (
+          <ul className="flex flex-col max-h-48 overflow-y-auto">
+            {results.map((node) => (
+              <li key={node.id}>
+                <button
+                  onClick={() => focusNode(node.id)}
+                  className="w-full text-left px-2 py-1 rounded hover:bg-blue-50 text-blue-600"
+                >
+                  {node.label}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+
+      <label className="flex flex-col gap-1 mt-2">
+        <span className="font-medium">Filter</span>
+        <select
+          className="border px-2 py-1 rounded"
+          value={filter?.type ?? ""}
+          onChange={(e) => setFilterType(e.target.value)}
+        >
+          <option value="">Show everything</option>
+          {Object.entries(FILTERS).map(([type, { label }]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {filter && (
+        <>
+          {FILTERS[filter.type].input === "number" ? (
+            <input
+              type="number"
+              min="0"
+              step="any"
+              aria-label="Weight"
+              placeholder="Weight"
+              className="border px-2 py-1 rounded"
+              value={filter.value}
+              onChange={(e) => setFilter({ ...filter, value: e.target.value })}
+            />
+          ) : (
+            <>
+              <input
+                type="text"
+                list={nodeListId}
+                aria-label="Node"
+                placeholder="Node name"
+                className="border px-2 py-1 rounded"
+                value={filter.value}
+                onChange={(e) => setFilter({ ...filter, value: e.target.value })}
+              />
+              <datalist id={nodeListId}>
+                {nodes.map((node) => (
+                  <option key={node.id} value={node.id} />
+                ))}
+              </datalist>
+            </>
+          )}
+          <p className="text-gray-600">
+            {matches
+              ? `Showing ${matches.nodes} nodes and ${matches.edges} edges; the rest are dimmed.`
+              : FILTERS[filter.type].input === "number" ? "Enter a weight." : "Enter the name of a node."}
+          </p>
+          <button
+            onClick={() => setFilter(null)}
+            className="self-start px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 transition"
+          >
+            Clear filter
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SearchPanel;
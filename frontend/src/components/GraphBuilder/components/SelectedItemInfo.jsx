@@ -1,14 +1,183 @@
-const SelectedItemInfo = ({ selectedItem, selectedItemType }) => {
+import { useState } from "react";
+
+import SelectionActions from "./SelectionActions";
+import AttributeEditor from "./AttributeEditor";
+import { DISTANCE_METRICS } from "../distanceUtils";
+import { NODE_ATTRIBUTE_SUGGESTIONS, EDGE_ATTRIBUTE_SUGGESTIONS } from "../attributeUtils";
+
+const NodeInspector = ({ nodeId, renameNode }) => {
+  const [name, setName] = useState(nodeId);
+  const [error, setError] = useState("");
+
+  const handleRename = () => {
+    setError(renameNode(nodeId, name) || "");
+  };
+
+  const handleKeyPress = (e) => {
+    if (e.key === "Enter") handleRename();
+  };
+
+  return (
+    <div className="flex flex-col gap-2">
+      <label className="block text-sm font-medium">Node Name</label>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={handleKeyPress}
+          className="border p-2 rounded w-full min-w-0"
+        />
+        <button
+          onClick={handleRename}
+          disabled={name === nodeId}
+          className="px-3 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition disabled:opacity-50"
+        >
+          Rename
+        </button>
+      </div>
+      {error && <p className="text-red-600 text-sm">{error}</p>}
+    </div>
+  );
+};
+
+const EdgeInspector = ({ edge, isDirected, distanceMetric, updateEdgeWeight, setEdgeBidirectional }) => {
+  const [weight, setWeight] = useState(edge.label ?? "");
+  const [error, setError] = useState("");
+
+  const handleUpdate = () => {
+    setError(updateEdgeWeight(edge.id, weight) || "");
+  };
+
+  const handleKeyPress = (e) => {
+    if (e.key === "Enter") handleUpdate();
+  };
+
+  const arrow = !isDirected ? "—" : edge.bidirectional ? "↔" : "→";
+
+  return (
+    <div className="flex flex-col gap-2">
+      <p>
+        <strong>Edge:</strong> {edge.from} {arrow} {edge.to}
+      </p>
+      {distanceMetric ? (
+        <p>
+          <strong>Weight:</strong> {edge.label}
+          <span className="block text-gray-500">
+            The {DISTANCE_METRICS[distanceMetric].label.toLowerCase()} between the nodes. Drag a node to change it.
+          </span>
+        </p>
+      ) : (
+        <>
+          <label className="block text-sm font-medium">Weight</label>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={weight}
+              onChange={(e) => setWeight(e.target.value)}
+              onKeyDown={handleKeyPress}
+              className="border p-2 rounded w-full min-w-0"
+            />
+            <button
+              onClick={handleUpdate}
+              disabled={weight === edge.label}
+              className="px-3 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition disabled:opacity-50"
+            >
+              Update
+            </button>
+          </div>
+        </>
+      )}
+      {isDirected && (
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={Boolean(edge.bidirectional)}
+            onChange={(e) => setError(setEdgeBidirectional(edge.id, e.target.checked) || "")}
+          />
+          Bidirectional
+        </label>
+      )}
+      {error && <p className="text-red-600 text-sm">{error}</p>}
+    </div>
+  );
+};
+
+const SelectedItemInfo = ({
+  selection,
+  selectedItem,
+  selectedItemType,
+  selectedAttributes,
+  isDirected,
+  distanceMetric,
+  renameNode,
+  updateEdgeWeight,
+  setEdgeBidirectional,
+  setItemAttributes,
+  setSelectionWeight,
+  duplicateSelection,
+  connectSelection,
+  deleteSelected
+}) => {
+  if (selection.nodes.length + selection.edges.length > 1) {
+    return (
+      <div className="text-sm border-t pt-2 mt-1">
+        <SelectionActions
+          key={[...selection.nodes, ...selection.edges].join("\n")}
+          selection={selection}
+          canSetWeight={!distanceMetric}
+          setSelectionWeight={setSelectionWeight}
+          duplicateSelection={duplicateSelection}
+          connectSelection={connectSelection}
+          deleteSelected={deleteSelected}
+        />
+      </div>
+    );
+  }
+
+  if (!selectedItem) {
+    return (
+      <div className="text-sm border-t pt-2 mt-1">
+        <strong>Selected: </strong>Nothing selected
+        <p className="text-gray-500 mt-1">Shift+click or Shift+drag to select several items.</p>
+      </div>
+    );
+  }
+
+  const isNode = selectedItemType === "node";
+  const itemId = isNode ? selectedItem : selectedItem.id;
+
+  // Keyed by the selection so the drafts reset whenever a different item is picked
   return (
     <div className="text-sm border-t pt-2 mt-1">
-      <strong>Selected: </strong>
-      {selectedItem
-        ? selectedItemType === "node"
-          ? `Node: ${selectedItem}`
-          : `Edge: (${selectedItem.from}, ${selectedItem.to})`
-        : "Nothing selected"}
+      {isNode ? (
+        <NodeInspector
+          key={selectedItem}
+          nodeId={selectedItem}
+          renameNode={renameNode}
+        />
+      ) : (
+        <EdgeInspector
+          key={`${selectedItem.id}:${selectedItem.label}:${Boolean(selectedItem.bidirectional)}`}
+          edge={selectedItem}
+          isDirected={isDirected}
+          distanceMetric={distanceMetric}
+          updateEdgeWeight={updateEdgeWeight}
+          setEdgeBidirectional={setEdgeBidirectional}
+        />
+      )}
+      <div className="mt-2">
+        <AttributeEditor
+          key={`${itemId}:${JSON.stringify(selectedAttributes)}`}
+          attributes={selectedAttributes}
+          suggestions={isNode ? NODE_ATTRIBUTE_SUGGESTIONS : EDGE_ATTRIBUTE_SUGGESTIONS}
+          onSave={(attributes) => setItemAttributes(selectedItemType, itemId, attributes)}
+        />
+      </div>
     </div>
   );
 };
 
-export default SelectedItemInfo;
\ No newline at end of file
+export default SelectedItemInfo;
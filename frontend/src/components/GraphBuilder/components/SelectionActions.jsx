@@ -0,0 +1,85 @@
+import { useState } from "react";
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+const SelectionActions = ({
+  selection,
+  canSetWeight,
+  setSelectionWeight,
+  duplicateSelection,
+  connectSelection,
+  deleteSelected
+}) => {
+  const [weight, setWeight] = useState("");
+  const [error, setError] = useState("");
+
+  const nodeCount = selection.nodes.length;
+  const edgeCount = selection.edges.length;
+
+  const handleSetWeight = () => {
+    setError(setSelectionWeight(weight) || "");
+  };
+
+  const handleKeyPress = (e) => {
+    if (e.key === "Enter") handleSetWeight();
+  };
+
+  return (
+    <div className="flex flex-col gap-2">
+      <p>
+        <strong>Selected:</strong> {pluralize(nodeCount, "node")}, {pluralize(edgeCount, "edge")}
+      </p>
+      {edgeCount > 0 && canSetWeight && (
+        <>
+          <label className="block text-sm font-medium">Weight of selected edges</label>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={weight}
+              onChange={(e) => setWeight(e.target.value)}
+              onKeyDown={handleKeyPress}
+              className="border p-2 rounded w-full min-w-0"
+            />
+            <button
+              onClick={handleSetWeight}
+              disabled={weight === ""}
+              className="px-3 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition disabled:opacity-50"
+            >
+              Set
+            </button>
+          </div>
+          {error && <p className="text-red-600 text-sm">{error}</p>}
+        </>
+      )}
+      {nodeCount > 0 && (
+        <button
+          onClick={duplicateSelection}
+          className="px-3 py-2 bg-indigo-500 text-white rounded hover:bg-indigo-600 transition"
+        >
+          Duplicate {nodeCount === 1 ? "Node" : "Subgraph"}
+        </button>
+      )}
+      {nodeCount > 1 && (
+        <button
+          onClick={connectSelection}
+          className="px-3 py-2 bg-green-500 text-white rounded hover:bg-green-600 transition"
+        >
+          Connect All Selected Nodes
+        </button>
+      )}
+      <button
+        onClick={deleteSelected}
+        className="px-3 py-2 bg-red-500 text-white rounded hover:bg-red-600 transition"
+      >
+        Delete Selection
+      </button>
+      {nodeCount > 0 && (
+        <p className="text-gray-500">Ctrl+C copies the selected nodes; paste them into any graph with Ctrl+V.</p>
+      )}
+    </div>
+  );
+};
+
+export default SelectionActions;
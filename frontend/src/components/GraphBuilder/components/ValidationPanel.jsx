@@ -0,0 +1,85 @@
+import { MIN_TSP_NODES } from "../validationUtils";
+
+const MAX_LISTED_NODES = 20;
+
+// Node names that move the view to the node when clicked
+const NodeList = ({ nodeIds, focusNode }) => (
+  <span className="flex flex-wrap gap-x-2">
+    {nodeIds.slice(0, MAX_LISTED_NODES).map((nodeId) => (
+      <button key={nodeId} onClick={() => focusNode(nodeId)} className="text-blue-600 hover:underline">
+        {nodeId}
+      </button>
+    ))}
+    {nodeIds.length > MAX_LISTED_NODES && (
+      <span className="text-gray-500">...and {nodeIds.length - MAX_LISTED_NODES} more</span>
+    )}
+  </span>
+);
+
+const Check = ({ ok, children }) => (
+  <li className="flex gap-2">
+    <span className={ok ? "text-green-600" : "text-red-600"}>{ok ? "✓" : "✕"}</span>
+    <div className="min-w-0">{children}</div>
+  </li>
+);
+
+const ValidationPanel = ({ report, showProblems, setShowProblems, focusNode }) => {
+  const { nodeCount, edgeCount, components, isolated, sinks, sources, isStronglyConnected, canSolve } = report;
+  const connectedCount = nodeCount - isolated.length;
+
+  return (
+    <div className="border p-4 rounded-lg bg-white shadow-md text-sm flex flex-col gap-2">
+      <div className="flex justify-between items-baseline">
+        <span className="font-semibold text-base">Graph Check</span>
+        <span className="text-gray-600">{nodeCount} nodes, {edgeCount} edges</span>
+      </div>
+      <p className={canSolve ? "text-green-700" : "text-red-700"}>
+        {canSolve ? "Ready for TSP." : "TSP can't run on this graph yet."}
+      </p>
+      <ul className="flex flex-col gap-1 max-h-64 overflow-y-auto">
+        <Check ok={connectedCount >= MIN_TSP_NODES}>
+          At least {MIN_TSP_NODES} nodes with edges ({connectedCount})
+        </Check>
+        {connectedCount > 0 && (
+          <Check ok={isStronglyConnected}>
+            {isStronglyConnected ? (
+              "Strongly connected"
+            ) : (
+              <>
+                Not strongly connected: {components.length} components, each unreachable from the others
+                <ol className="list-decimal ml-4">
+                  {components.map((component, index) => (
+                    <li key={index}>
+                      <NodeList nodeIds={component} focusNode={focusNode} />
+                    </li>
+                  ))}
+                </ol>
+              </>
+            )}
+          </Check>
+        )}
+        {isolated.length > 0 && (
+          <Check ok={false}>
+            Isolated nodes, which the tour will skip: <NodeList nodeIds={isolated} focusNode={focusNode} />
+          </Check>
+        )}
+        {sinks.length > 0 && (
+          <Check ok={false}>
+            No outgoing edges: <NodeList nodeIds={sinks} focusNode={focusNode} />
+          </Check>
+        )}
+        {sources.length > 0 && (
+          <Check ok={false}>
+            No incoming edges: <NodeList nodeIds={sources} focusNode={focusNode} />
+          </Check>
+        )}
+      </ul>
+      <label className="flex items-center gap-2">
+        <input type="checkbox" checked={showProblems} onChange={(e) => setShowProblems(e.target.checked)} />
+        Circle problem nodes on the canvas
+      </label>
+    </div>
+  );
+};
+
+export default ValidationPanel;
@@ -1,82 +1,111 @@
 import { parse } from "papaparse";
 
+import { createGraphCollector } from "./importers/graphCollector";
+import { parseAttributeValue } from "./attributeUtils";
+
+// Header names recognised when guessing which column holds what, lowercased
+const COLUMN_ALIASES = {
+  source: ["from", "source", "src", "start", "origin", "u", "node1", "node_1", "from_node"],
+  target: ["to", "target", "dst", "dest", "destination", "end", "v", "node2", "node_2", "to_node"],
+  weight: ["cost", "weight", "distance", "dist", "length", "time", "value", "w"],
+};
+
+// Column names given to an edge list without a header row
+const DEFAULT_HEADERS = ["From", "To", "Cost"];
+
 /**
- * Process CSV data and update the network graph
- * @param {File} file - The CSV file to process
- * @param {DataSet} networkNodes - The vis.js nodes dataset
- * @param {DataSet} networkEdges - The vis.js edges dataset
- * @param {Object} networkInstance - Reference to the vis.js network instance
+ * Parse a CSV file. The header row is optional: edge lists pasted from a spreadsheet
+ * often start straight with data, which shows as a numeric cell in the first row.
+ * Such columns are named From, To, Cost, then "Column 4" onwards.
+ * @param {File|string} file - The CSV file, or CSV text
+ * @returns {Promise<Object>} - Resolves with { headers, rows }, rows being objects keyed by header
  */
-export const processCSVData = (file, networkNodes, networkEdges, networkInstance) => {
-  parse(file, {
-    header: true,
-    complete: results => {
-      try {
-        const { data } = results;
-        
-        // Clear existing nodes and edges
-        networkNodes.clear();
-        networkEdges.clear();
+export const parseCSVFile = (file) => {
+  return new Promise((resolve, reject) => {
+    parse(file, {
+      skipEmptyLines: true,
+      complete: results => {
+        const grid = results.data.map(row => row.map(cell => String(cell).trim()));
+        if (grid.length === 0) {
+          reject(new Error("The file is empty."));
+          return;
+        }
 
-        // Track unique nodes and edges
-        const nodeSet = new Set();
-        const edgesToAdd = [];
-        const edgeMap = new Map();
+        const hasHeaderRow = !grid[0].some(cell => cell !== "" && !isNaN(Number(cell)));
+        const columns = hasHeaderRow
+          ? grid[0]
+          : grid[0].map((_, index) => DEFAULT_HEADERS[index] || `Column ${index + 1}`);
+        const headers = columns.filter(header => header !== "");
+        if (headers.length === 0) {
+          reject(new Error("The file has no header row."));
+          return;
+        }
 
-        // Process each row in the CSV
-        data.forEach((row, index) => {
-          const source = row["From"];
-          const target = row["To"];
-          const weight = row["Cost"];
+        const rows = (hasHeaderRow ? grid.slice(1) : grid).map(row =>
+          Object.fromEntries(columns.map((header, index) => [header, row[index]]))
+        );
+        resolve({ headers, rows });
+      },
+      error: error => {
+        console.error("Error parsing CSV:", error);
+        reject(new Error("Error parsing CSV file. Please check the format."));
+      }
+    });
+  });
+};
 
-          if (source && target) {
-            // Add source and target to node set
-            nodeSet.add(source);
-            nodeSet.add(target);
+/**
+ * Guess which columns hold the source, target and weight of each edge
+ * @param {Array<string>} headers - The CSV headers
+ * @returns {Object} - { source, target, weight }, each a header name or "" if none matched
+ */
+export const guessColumnMapping = (headers) => {
+  const findColumn = (aliases, exclude) =>
+    headers.find(header => aliases.includes(header.toLowerCase()) && !exclude.includes(header)) || "";
 
-            // Create unique edge key to avoid duplicates
-            const edgeKey = `${source}-${target}`;
+  const source = findColumn(COLUMN_ALIASES.source, []) || headers[0] || "";
+  const target = findColumn(COLUMN_ALIASES.target, [source]) || headers.find(header => header !== source) || "";
+  const weight = findColumn(COLUMN_ALIASES.weight, [source, target]);
 
-            // Only add if edge doesn't already exist
-            if (!edgeMap.has(edgeKey)) {
-              const edgeData = {
-                from: source,
-                to: target,
-                label: weight !== undefined ? String(weight) : "1",
-                id: edgeKey
-              };
+  return { source, target, weight };
+};
 
-              edgesToAdd.push(edgeData);
-              edgeMap.set(edgeKey, true);
-            }
-          } else {
-            console.warn(`Row ${index} missing From or To:`, row);
-          }
-        });
+/**
+ * The columns that aren't mapped to the source, target or weight, which are imported
+ * as edge attributes, e.g. the extra columns the CSV exporter writes
+ * @param {Array<string>} headers - The CSV headers
+ * @param {Object} mapping - { source, target, weight } header names
+ * @returns {Array<string>} - The attribute columns, in file order
+ */
+export const getAttributeColumns = (headers, mapping) =>
+  headers.filter(header => ![mapping.source, mapping.target, mapping.weight].includes(header));
 
-        // Convert node set to array of node objects
-        const nodesToAdd = Array.from(nodeSet).map(nodeId => ({
-          id: nodeId,
-          label: nodeId
-        }));
+/**
+ * Turn parsed CSV rows into nodes and edges, collecting every row that can't be used.
+ * Every other column becomes an edge attribute; empty cells are left out.
+ * @param {Array<Object>} rows - Rows keyed by header
+ * @param {Object} mapping - { source, target, weight } header names; without a weight column every edge weighs 1
+ * @returns {Object} - { nodes, edges, rejected }, rejected being [{ where, reason }]
+ */
+export const buildGraphFromRows = (rows, mapping) => {
+  const collector = createGraphCollector();
+  const attributeColumns = rows.length > 0 ? getAttributeColumns(Object.keys(rows[0]), mapping) : [];
 
-        // Add nodes and edges to the network
-        networkNodes.add(nodesToAdd);
-        networkEdges.add(edgesToAdd);
+  rows.forEach((row, index) => {
+    const attributes = Object.fromEntries(
+      attributeColumns
+        .filter(column => column !== "" && (row[column] ?? "") !== "")
+        .map(column => [column, parseAttributeValue(row[column])])
+    );
 
-        // Adjust view to fit all nodes
-        if (networkInstance.current) {
-          networkInstance.current.fit({ animation: true });
-        }
-      } catch (error) {
-        console.error("Error processing CSV data:", error);
-        alert(`Error processing CSV data: ${error.message}`);
-      }
-    },
-    skipEmptyLines: true,
-    error: error => {
-      console.error("Error parsing CSV:", error);
-      alert("Error parsing CSV file. Please check the format.");
-    }
+    collector.addEdge(
+      row[mapping.source],
+      row[mapping.target],
+      mapping.weight ? row[mapping.weight] ?? "" : undefined,
+      `Row ${index + 1}`,
+      attributes
+    );
   });
-};
\ No newline at end of file
+
+  return collector.result();
+};
@@ -0,0 +1,104 @@
+import { getEdgeId, bidirectionalFields } from "./graphUtils";
+
+// Canvas units per degree when a node's position stands for a latitude and longitude
+export const GEO_SCALE = 10;
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Read a canvas position as a point on the globe: x is the longitude and y the
+ * latitude, north up
+ * @param {Object} position - { x, y } on the canvas
+ * @returns {Object} - { lat, lon } in degrees
+ */
+export const canvasToGeo = ({ x, y }) => ({ lat: -y / GEO_SCALE, lon: x / GEO_SCALE });
+
+/**
+ * Place a latitude and longitude on the canvas, the inverse of canvasToGeo
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {Object} - { x, y } on the canvas
+ */
+export const geoToCanvas = (lat, lon) => ({ x: lon * GEO_SCALE, y: -lat * GEO_SCALE });
+
+const haversine = (a, b) => {
+  const from = canvasToGeo(a);
+  const to = canvasToGeo(b);
+  const h =
+    Math.sin(toRadians(to.lat - from.lat) / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(toRadians(to.lon - from.lon) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// How edge weights are computed from node positions in coordinate mode
+export const DISTANCE_METRICS = {
+  euclidean: {
+    label: "Euclidean distance",
+    distance: (a, b) => Math.hypot(a.x - b.x, a.y - b.y),
+  },
+  manhattan: {
+    label: "Manhattan distance",
+    distance: (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y),
+  },
+  haversine: {
+    label: "Haversine distance (km)",
+    distance: haversine,
+  },
+};
+
+/**
+ * The weight of an edge between two positioned nodes, to two decimal places
+ * @param {string} metric - A key of DISTANCE_METRICS
+ * @param {Object} a - { x, y } of one end
+ * @param {Object} b - { x, y } of the other end
+ * @returns {number} - The weight
+ */
+export const computeDistance = (metric, a, b) =>
+  Math.round(DISTANCE_METRICS[metric].distance(a, b) * 100) / 100;
+
+/**
+ * Weigh the edges of the given nodes by the distance to their neighbours and,
+ * unless told otherwise, connect them to every other node they aren't connected
+ * to yet. New edges go both ways, as a distance does.
+ * @param {DataSet} networkEdges - The vis.js edges dataset
+ * @param {Array<string>} nodeIds - The nodes whose edges to weigh
+ * @param {Object} positions - Canvas positions of every node, keyed by node id
+ * @param {string} metric - A key of DISTANCE_METRICS
+ * @param {boolean} directed - Whether the graph is directed
+ * @param {boolean} addMissing - Whether to add the edges that don't exist yet
+ */
+export const linkByDistance = (networkEdges, nodeIds, positions, metric, directed, addMissing = true) => {
+  const updated = [];
+  const added = [];
+  const done = new Set();
+
+  nodeIds.forEach(nodeId => {
+    Object.keys(positions).forEach(otherId => {
+      if (otherId === nodeId || done.has(getEdgeId(otherId, nodeId))) return;
+      done.add(getEdgeId(nodeId, otherId));
+
+      const label = String(computeDistance(metric, positions[nodeId], positions[otherId]));
+      const existing = networkEdges.get([getEdgeId(nodeId, otherId), getEdgeId(otherId, nodeId)])
+        .filter(Boolean);
+
+      if (existing.length > 0) {
+        existing
+          .filter(edge => edge.label !== label)
+          .forEach(edge => updated.push({ id: edge.id, label }));
+      } else if (addMissing) {
+        added.push({
+          id: getEdgeId(nodeId, otherId),
+          from: nodeId,
+          to: otherId,
+          label,
+          ...(directed ? bidirectionalFields(true) : {})
+        });
+      }
+    });
+  });
+
+  networkEdges.update(updated);
+  networkEdges.add(added);
+};
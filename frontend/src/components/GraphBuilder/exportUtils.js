@@ -0,0 +1,174 @@
+import { unparse } from "papaparse";
+
+import { getAttributeKeys } from "./attributeUtils";
+
+// All exporters take the stored graph.data shape:
+// { directed, nodes: [{ label, attributes? }], edges: [{ from, to, weight, bidirectional?, attributes? }] }
+// Graphs saved before "directed" existed are directed.
+
+const isDirected = (graphData) => graphData.directed !== false;
+
+// Whether an edge can also be travelled from its target to its source
+const goesBothWays = (graphData, edge) => !isDirected(graphData) || Boolean(edge.bidirectional);
+
+const escapeXML = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const quoteDOT = (value) => `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+// GraphML type of an attribute: a number if every value is one
+const graphMLType = (items, key) =>
+  items.every(item => item.attributes?.[key] === undefined || typeof item.attributes[key] === "number")
+    ? "double"
+    : "string";
+
+// <key> declarations for the attributes of nodes or edges, with ids prefixed to keep them apart
+const graphMLKeys = (items, kind, prefix) =>
+  getAttributeKeys(items).map((key, index) => ({
+    id: `${prefix}${index}`,
+    name: key,
+    line: `  <key id="${prefix}${index}" for="${kind}" attr.name="${escapeXML(key)}" attr.type="${graphMLType(items, key)}"/>`,
+  }));
+
+const graphMLData = (item, keys) =>
+  keys
+    .filter(({ name }) => item.attributes?.[name] !== undefined)
+    .map(({ id, name }) => `<data key="${id}">${escapeXML(item.attributes[name])}</data>`)
+    .join("");
+
+// Attributes as DOT attribute pairs, e.g. ['"priority"=2', '"address"="1 Main St"']
+const dotAttributes = (attributes) =>
+  Object.entries(attributes ?? {}).map(([key, value]) =>
+    `${quoteDOT(key)}=${typeof value === "number" ? value : quoteDOT(value)}`
+  );
+
+/**
+ * Edge list with the From/To/Cost headers the CSV importer expects, followed by
+ * a column for each edge attribute. Nodes without any edges can't be expressed
+ * in an edge list and are left out, as are node attributes; edges that go both
+ * ways are written as two rows.
+ * @param {Object} graphData - The graph to export
+ * @returns {string}
+ */
+export const toCSV = (graphData) => {
+  const attributeKeys = getAttributeKeys(graphData.edges);
+  const row = (edge, from, to) => [from, to, edge.weight, ...attributeKeys.map(key => edge.attributes?.[key] ?? "")];
+
+  return unparse({
+    fields: ["From", "To", "Cost", ...attributeKeys],
+    data: graphData.edges.flatMap(edge => [
+      row(edge, edge.from, edge.to),
+      ...(goesBothWays(graphData, edge) ? [row(edge, edge.to, edge.from)] : []),
+    ]),
+  });
+};
+
+/**
+ * The graph exactly as the backend stores it
+ * @param {Object} graphData - The graph to export
+ * @returns {string}
+ */
+export const toJSON = (graphData) => JSON.stringify(graphData, null, 2);
+
+/**
+ * GraphML, readable by networkx.read_graphml
+ * @param {Object} graphData - The graph to export
+ * @returns {string}
+ */
+export const toGraphML = (graphData) => {
+  const nodeKeys = graphMLKeys(graphData.nodes, "node", "n");
+  const edgeKeys = graphMLKeys(graphData.edges, "edge", "e");
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+    ...nodeKeys.map(({ line }) => line),
+    ...edgeKeys.map(({ line }) => line),
+    `  <graph id="G" edgedefault="${isDirected(graphData) ? "directed" : "undirected"}">`,
+    ...graphData.nodes.map(node => {
+      const data = graphMLData(node, nodeKeys);
+      return data
+        ? `    <node id="${escapeXML(node.label)}">${data}</node>`
+        : `    <node id="${escapeXML(node.label)}"/>`;
+    }),
+    ...graphData.edges.map(edge =>
+      `    <edge source="${escapeXML(edge.from)}" target="${escapeXML(edge.to)}"` +
+      `${isDirected(graphData) && edge.bidirectional ? ' directed="false"' : ""}>` +
+      `<data key="weight">${edge.weight}</data>${graphMLData(edge, edgeKeys)}</edge>`
+    ),
+    "  </graph>",
+    "</graphml>",
+  ];
+  return lines.join("\n") + "\n";
+};
+
+/**
+ * Graphviz DOT, readable by networkx.nx_pydot.read_dot
+ * @param {Object} graphData - The graph to export
+ * @returns {string}
+ */
+export const toDOT = (graphData) => {
+  const directed = isDirected(graphData);
+  const lines = [
+    directed ? "digraph G {" : "graph G {",
+    ...graphData.nodes.map(node =>
+      node.attributes
+        ? `  ${quoteDOT(node.label)} [${dotAttributes(node.attributes).join(", ")}];`
+        : `  ${quoteDOT(node.label)};`
+    ),
+    ...graphData.edges.map(edge =>
+      `  ${quoteDOT(edge.from)} ${directed ? "->" : "--"} ${quoteDOT(edge.to)} ` +
+      `[${[
+        `weight=${edge.weight}`,
+        `label="${edge.weight}"`,
+        ...(directed && edge.bidirectional ? ["dir=both"] : []),
+        ...dotAttributes(edge.attributes),
+      ].join(", ")}];`
+    ),
+    "}",
+  ];
+  return lines.join("\n") + "\n";
+};
+
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV edge list", extension: "csv", mimeType: "text/csv", serialize: toCSV },
+  json: { label: "JSON", extension: "json", mimeType: "application/json", serialize: toJSON },
+  graphml: { label: "GraphML", extension: "graphml", mimeType: "application/xml", serialize: toGraphML },
+  dot: { label: "Graphviz DOT", extension: "dot", mimeType: "text/vnd.graphviz", serialize: toDOT },
+};
+
+/**
+ * Have the browser download some text as a file
+ * @param {string} content - The file contents
+ * @param {string} name - The file name, without extension; unsafe characters are replaced
+ * @param {string} extension - The file extension
+ * @param {string} mimeType - The file's MIME type
+ */
+export const downloadFile = (content, name, extension, mimeType) => {
+  const fileName = `${(name || "graph").trim().replace(/[^\w.-]+/g, "_") || "graph"}.${extension}`;
+
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Serialize a graph and have the browser download it
+ * @param {Object} graphData - The graph to export
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @param {string} name - The file name, without extension
+ */
+export const downloadGraph = (graphData, format, name) => {
+  const { extension, mimeType, serialize } = EXPORT_FORMATS[format];
+  downloadFile(serialize(graphData), name, extension, mimeType);
+};
@@ -0,0 +1,250 @@
+import { getEdgeId } from "./graphUtils";
+import { computeDistance } from "./distanceUtils";
+
+export const MAX_GENERATED_NODES = 500;
+
+// Canvas distance between neighbouring nodes of a grid
+const GRID_SPACING = 150;
+
+// Canvas area per node of a Euclidean graph, as the side of a square, so the
+// nodes are spread out enough to read whatever the weights
+const EUCLIDEAN_SPACING = 150;
+
+// Tries at placing each Euclidean point far enough from the others before giving up
+const PLACEMENT_TRIES = 30;
+
+/**
+ * Turn any seed text into a 32-bit integer (FNV-1a)
+ * @param {string} seed - The seed as entered
+ * @returns {number}
+ */
+const hashSeed = (seed) => {
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * A seeded random number generator (mulberry32), so the same seed always
+ * generates the same graph
+ * @param {string} seed - The seed
+ * @returns {Function} - Returns the next number in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * @returns {string} - A fresh seed for when none was entered
+ */
+export const randomSeed = () => String(Math.floor(Math.random() * 1000000));
+
+/**
+ * Draws weights in [minWeight, maxWeight]: whole numbers when both bounds are,
+ * otherwise to two decimal places
+ * @param {Function} random - The seeded generator
+ * @param {number} minWeight - The lowest weight
+ * @param {number} maxWeight - The highest weight
+ * @returns {Function} - Returns the next weight
+ */
+const weightPicker = (random, minWeight, maxWeight) => {
+  if (Number.isInteger(minWeight) && Number.isInteger(maxWeight)) {
+    return () => minWeight + Math.floor(random() * (maxWeight - minWeight + 1));
+  }
+  return () => Math.round((minWeight + random() * (maxWeight - minWeight)) * 100) / 100;
+};
+
+const numberedNodes = (count) =>
+  Array.from({ length: count }, (_, index) => ({ id: String(index + 1), label: String(index + 1) }));
+
+const edge = (from, to, weight) => ({ id: getEdgeId(from, to), from, to, label: String(weight) });
+
+/**
+ * Fisher-Yates shuffle with the seeded generator
+ * @param {Array} items - The items, left untouched
+ * @param {Function} random - The seeded generator
+ * @returns {Array} - A shuffled copy
+ */
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const completeGraph = ({ nodeCount, symmetric }, random, pickWeight) => {
+  const nodes = numberedNodes(nodeCount);
+  const edges = [];
+
+  nodes.forEach((a, i) => {
+    nodes.forEach((b, j) => {
+      if (i === j || (symmetric && j < i)) return;
+      edges.push(edge(a.id, b.id, pickWeight()));
+    });
+  });
+
+  return { nodes, edges, directed: !symmetric };
+};
+
+// A cycle through every node in random order makes the digraph strongly
+// connected; every other pair is then joined with the given probability.
+const erdosRenyiGraph = ({ nodeCount, edgeProbability }, random, pickWeight) => {
+  const nodes = numberedNodes(nodeCount);
+  const edgeIds = new Set();
+  const edges = [];
+
+  const addEdge = (from, to) => {
+    edgeIds.add(getEdgeId(from, to));
+    edges.push(edge(from, to, pickWeight()));
+  };
+
+  const cycle = shuffle(nodes.map(node => node.id), random);
+  cycle.forEach((from, index) => addEdge(from, cycle[(index + 1) % cycle.length]));
+
+  nodes.forEach(a => {
+    nodes.forEach(b => {
+      if (a.id === b.id || edgeIds.has(getEdgeId(a.id, b.id))) return;
+      if (random() < edgeProbability) addEdge(a.id, b.id);
+    });
+  });
+
+  return { nodes, edges, directed: true };
+};
+
+// Points in a square small enough that no two are more than maxWeight apart,
+// and no two closer than minWeight. Weights are the distances; the square is
+// drawn at a fixed size per node, so each weight is the canvas distance scaled
+// down. As the weights aren't canvas distances, the graph isn't in coordinate mode.
+const euclideanGraph = ({ nodeCount, minWeight, maxWeight }, random) => {
+  const side = maxWeight / Math.SQRT2;
+  const points = [];
+
+  while (points.length < nodeCount) {
+    let point = null;
+    for (let tries = 0; tries < PLACEMENT_TRIES && !point; tries++) {
+      const candidate = { x: random() * side, y: random() * side };
+      if (points.every(other => Math.hypot(candidate.x - other.x, candidate.y - other.y) >= minWeight)) {
+        point = candidate;
+      }
+    }
+    if (!point) {
+      throw new Error(`Couldn't place ${nodeCount} points at least ${minWeight} apart. Lower the minimum weight or raise the maximum.`);
+    }
+    points.push(point);
+  }
+
+  // Canvas units per unit of weight
+  const scale = (Math.ceil(Math.sqrt(nodeCount)) * EUCLIDEAN_SPACING) / side;
+  const nodes = numberedNodes(nodeCount).map((node, index) => ({
+    ...node,
+    x: points[index].x * scale,
+    y: points[index].y * scale
+  }));
+  const edges = [];
+  points.forEach((a, i) => {
+    points.slice(i + 1).forEach((b, offset) => {
+      edges.push(edge(nodes[i].id, nodes[i + 1 + offset].id, computeDistance("euclidean", a, b)));
+    });
+  });
+
+  return { nodes, edges, directed: false };
+};
+
+// The most square grid that holds the nodes, filled row by row
+const gridGraph = ({ nodeCount }, random, pickWeight) => {
+  const columns = Math.ceil(Math.sqrt(nodeCount));
+  const nodes = numberedNodes(nodeCount).map((node, index) => ({
+    ...node,
+    x: (index % columns) * GRID_SPACING,
+    y: Math.floor(index / columns) * GRID_SPACING
+  }));
+
+  const edges = [];
+  nodes.forEach((node, index) => {
+    const right = index + 1;
+    const below = index + columns;
+    if (right % columns !== 0 && right < nodeCount) edges.push(edge(node.id, nodes[right].id, pickWeight()));
+    if (below < nodeCount) edges.push(edge(node.id, nodes[below].id, pickWeight()));
+  });
+
+  return { nodes, edges, directed: false };
+};
+
+/*
+ * A generator is { label, description, generate(params, random, pickWeight) }.
+ * generate returns { nodes, edges, directed, metric? } for the vis.js datasets;
+ * nodes may carry canvas positions.
+ */
+export const GENERATORS = {
+  complete: {
+    label: "Random complete graph",
+    description: "Every pair of nodes is connected. Asymmetric graphs are directed, with a separate weight each way.",
+    generate: completeGraph,
+  },
+  erdosRenyi: {
+    label: "Erdős–Rényi digraph",
+    description: "Each ordered pair is connected with the given probability, on top of a random cycle that keeps every node reachable from every other.",
+    generate: erdosRenyiGraph,
+  },
+  euclidean: {
+    label: "Random Euclidean points",
+    description: "Random points on the plane, connected by their straight-line distances, which lie in the weight range. The points are drawn to scale and stay where they are placed.",
+    generate: euclideanGraph,
+  },
+  grid: {
+    label: "Grid graph",
+    description: "Nodes on a square grid, each connected to its neighbours.",
+    generate: gridGraph,
+  },
+};
+
+/**
+ * Check the generator settings
+ * @param {string} generatorId - A key of GENERATORS
+ * @param {Object} params - { nodeCount, minWeight, maxWeight, seed, edgeProbability?, symmetric? }
+ * @returns {string|null} - An error message, or null if they are valid
+ */
+export const validateGeneratorParams = (generatorId, params) => {
+  const { nodeCount, minWeight, maxWeight, edgeProbability } = params;
+
+  if (!Number.isInteger(nodeCount) || nodeCount < 2 || nodeCount > MAX_GENERATED_NODES) {
+    return `Node count must be a whole number from 2 to ${MAX_GENERATED_NODES}.`;
+  }
+  if (!Number.isFinite(minWeight) || !Number.isFinite(maxWeight) || minWeight < 0) {
+    return "Weights must be non-negative numbers.";
+  }
+  if (minWeight > maxWeight) {
+    return "The minimum weight can't be above the maximum.";
+  }
+  if (generatorId === "euclidean" && maxWeight <= 0) {
+    return "The maximum weight must be above 0.";
+  }
+  if (generatorId === "erdosRenyi" && !(edgeProbability >= 0 && edgeProbability <= 1)) {
+    return "Edge probability must be between 0 and 1.";
+  }
+  return null;
+};
+
+/**
+ * Generate a graph. The same generator, settings and seed give the same graph.
+ * @param {string} generatorId - A key of GENERATORS
+ * @param {Object} params - { nodeCount, minWeight, maxWeight, seed, edgeProbability?, symmetric? }
+ * @returns {Object} - { nodes, edges, directed, metric? }
+ */
+export const generateGraph = (generatorId, params) => {
+  const random = createRandom(params.seed);
+  const pickWeight = weightPicker(random, params.minWeight, params.maxWeight);
+  return GENERATORS[generatorId].generate(params, random, pickWeight);
+};
@@ -0,0 +1,112 @@
+// Undo/redo support for the vis.js datasets. Every mutation of networkNodes or
+// networkEdges made inside a transaction is recorded as a change; a finished
+// transaction becomes one command on the undo stack. Changes to graph-wide
+// settings (e.g. whether the graph is directed) are recorded with dataset "graph"
+// and handed back to the editor through applySettings.
+
+const DATASET_NAMES = ["nodes", "edges"];
+
+/**
+ * Subscribe to add/update/remove events on both datasets
+ * @param {DataSet} networkNodes - The vis.js nodes dataset
+ * @param {DataSet} networkEdges - The vis.js edges dataset
+ * @param {Function} onChange - Called with { dataset, type, before, after } for every changed item
+ * @returns {Function} - Unsubscribes the listeners
+ */
+export const watchChanges = (networkNodes, networkEdges, onChange) => {
+  const datasets = { nodes: networkNodes, edges: networkEdges };
+
+  const listeners = DATASET_NAMES.map(name => {
+    const dataset = datasets[name];
+    const listener = (type, params) => {
+      params.items.forEach((id, index) => {
+        const before = type === "add" ? null : params.oldData[index];
+        // DataSet events fire synchronously, so the stored item is the new state
+        const after = type === "remove" ? null : dataset.get(id);
+        onChange({ dataset: name, type, before, after });
+      });
+    };
+    dataset.on("*", listener);
+    return () => dataset.off("*", listener);
+  });
+
+  return () => listeners.forEach(unsubscribe => unsubscribe());
+};
+
+/**
+ * Overwrite an item with a previous state, dropping any fields the state doesn't have
+ * @param {DataSet} dataset - The dataset holding the item
+ * @param {Object} item - The full item to restore
+ */
+const restoreItem = (dataset, item) => {
+  const current = dataset.get(item.id) || {};
+  const dropped = Object.keys(current)
+    .filter(key => !(key in item))
+    .reduce((acc, key) => ({ ...acc, [key]: null }), {});
+
+  dataset.update({ ...dropped, ...item });
+};
+
+/**
+ * Revert a recorded command, last change first
+ * @param {DataSet} networkNodes - The vis.js nodes dataset
+ * @param {DataSet} networkEdges - The vis.js edges dataset
+ * @param {Object} command - A command from the undo stack
+ * @param {Function} applySettings - Called with the graph settings to restore
+ */
+export const undoCommand = (networkNodes, networkEdges, command, applySettings) => {
+  const datasets = { nodes: networkNodes, edges: networkEdges };
+
+  [...command.changes].reverse().forEach(({ dataset, type, before, after }) => {
+    if (dataset === "graph") {
+      applySettings(before);
+      return;
+    }
+
+    switch (type) {
+      case "add":
+        datasets[dataset].remove(after.id);
+        break;
+      case "update":
+        restoreItem(datasets[dataset], before);
+        break;
+      case "remove":
+        datasets[dataset].add(before);
+        break;
+      default:
+        console.warn("Unknown change:", type);
+    }
+  });
+};
+
+/**
+ * Re-apply a previously undone command in its original order
+ * @param {DataSet} networkNodes - The vis.js nodes dataset
+ * @param {DataSet} networkEdges - The vis.js edges dataset
+ * @param {Object} command - A command from the redo stack
+ * @param {Function} applySettings - Called with the graph settings to re-apply
+ */
+export const redoCommand = (networkNodes, networkEdges, command, applySettings) => {
+  const datasets = { nodes: networkNodes, edges: networkEdges };
+
+  command.changes.forEach(({ dataset, type, before, after }) => {
+    if (dataset === "graph") {
+      applySettings(after);
+      return;
+    }
+
+    switch (type) {
+      case "add":
+        datasets[dataset].add(after);
+        break;
+      case "update":
+        restoreItem(datasets[dataset], after);
+        break;
+      case "remove":
+        datasets[dataset].remove(before.id);
+        break;
+      default:
+        console.warn("Unknown change:", type);
+    }
+  });
+};
@@ -0,0 +1,230 @@
+import { attributeFields } from "./attributeUtils";
+
+/**
+ * Build the dataset id used for an edge. Node ids are their labels, so an
+ * edge id is fully determined by its endpoints.
+ * @param {string} from - Source node id
+ * @param {string} to - Target node id
+ * @returns {string} - The edge id
+ */
+export const getEdgeId = (from, to) => `${from}-${to}`;
+
+/**
+ * The vis.js fields that make an edge usable in both directions of a directed
+ * graph, drawn with an arrow at each end. Fields are nulled when off so that a
+ * dataset update removes them.
+ * @param {boolean} bidirectional - Whether the edge goes both ways
+ * @returns {Object} - { bidirectional, arrows } to spread into an edge
+ */
+export const bidirectionalFields = (bidirectional) =>
+  bidirectional ? { bidirectional: true, arrows: "to, from" } : { bidirectional: null, arrows: null };
+
+/**
+ * Find the edge that lets you travel from one node to another: the edge with
+ * those endpoints, or the reverse edge if it goes both ways. In an undirected
+ * graph every edge goes both ways.
+ * @param {DataSet} networkEdges - The vis.js edges dataset
+ * @param {string} from - Source node id
+ * @param {string} to - Target node id
+ * @param {boolean} directed - Whether the graph is directed
+ * @returns {Object|null} - The edge, or null if there is none
+ */
+export const findEdgeBetween = (networkEdges, from, to, directed) => {
+  const edge = networkEdges.get(getEdgeId(from, to));
+  if (edge) return edge;
+
+  const reverse = networkEdges.get(getEdgeId(to, from));
+  if (reverse && (!directed || reverse.bidirectional)) return reverse;
+
+  return null;
+};
+
+/**
+ * Find every pair of edges connecting the same two nodes in opposite directions
+ * @param {Array} edges - The vis.js edges
+ * @returns {Array<Object>} - [{ edge, reverse }], each pair listed once
+ */
+export const findReciprocalPairs = (edges) => {
+  const edgesById = new Map(edges.map(edge => [getEdgeId(edge.from, edge.to), edge]));
+  const paired = new Set();
+
+  return edges.reduce((pairs, edge) => {
+    const reverse = edgesById.get(getEdgeId(edge.to, edge.from));
+    if (reverse && !paired.has(edge.id)) {
+      paired.add(reverse.id);
+      pairs.push({ edge, reverse });
+    }
+    return pairs;
+  }, []);
+};
+
+/**
+ * Collapse each pair of opposite edges into a single edge keeping the lower
+ * weight, as an undirected graph needs
+ * @param {DataSet} networkEdges - The vis.js edges dataset
+ * @returns {number} - The number of pairs collapsed
+ */
+export const mergeReciprocalEdges = (networkEdges) => {
+  const pairs = findReciprocalPairs(networkEdges.get());
+
+  networkEdges.remove(pairs.map(({ reverse }) => reverse.id));
+  networkEdges.update(pairs.map(({ edge, reverse }) => ({
+    id: edge.id,
+    label: String(Math.min(parseWeight(edge.label) ?? 1, parseWeight(reverse.label) ?? 1))
+  })));
+
+  return pairs.length;
+};
+
+/**
+ * Name for a copy of a node: "A copy", then "A copy 2", "A copy 3", ...
+ * @param {string} label - The original node's label
+ * @param {Function} isTaken - Returns true if a name is already in use
+ * @returns {string} - The first free name
+ */
+export const getCopyName = (label, isTaken) => {
+  let name = `${label} copy`;
+  for (let n = 2; isTaken(name); n++) {
+    name = `${label} copy ${n}`;
+  }
+  return name;
+};
+
+/**
+ * The first free numbered name for a new node, counting up from start
+ * @param {Function} isTaken - Returns true if a name is already in use
+ * @param {number} start - The first number to try
+ * @returns {string} - The name
+ */
+export const getNumberedName = (isTaken, start = 1) => {
+  let n = start;
+  while (isTaken(String(n))) n++;
+  return String(n);
+};
+
+/**
+ * Parse a user-entered edge weight
+ * @param {string|number} value - The raw weight
+ * @returns {number|null} - The weight, or null if it is not a non-negative number
+ */
+export const parseWeight = (value) => {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+
+  const weight = Number(value);
+  if (!Number.isFinite(weight) || weight < 0) return null;
+
+  return weight;
+};
+
+/**
+ * Write an imported graph into the network datasets
+ * @param {DataSet} networkNodes - The vis.js nodes dataset
+ * @param {DataSet} networkEdges - The vis.js edges dataset
+ * @param {Object} graph - { nodes, edges } to import
+ * @param {string} mode - "replace" clears the current graph first; "merge" keeps it,
+ *   overwriting the weights of edges that exist in both
+ */
+export const applyImportedGraph = (networkNodes, networkEdges, graph, mode) => {
+  if (mode === "replace") {
+    networkEdges.clear();
+    networkNodes.clear();
+    networkNodes.add(graph.nodes);
+    networkEdges.add(graph.edges);
+    return;
+  }
+
+  networkNodes.add(graph.nodes.filter(node => !networkNodes.get(node.id)));
+
+  const existingEdges = graph.edges.filter(edge => networkEdges.get(edge.id));
+  const newEdges = graph.edges.filter(edge => !networkEdges.get(edge.id));
+  networkEdges.update(existingEdges.map(edge => ({ id: edge.id, label: edge.label })));
+  networkEdges.add(newEdges);
+};
+
+// Two decimals keep a latitude or longitude placed on the canvas to within about 100 metres
+const roundPosition = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convert the vis.js nodes and edges into the shape stored in graph.data.
+ * In an undirected graph each edge can be travelled both ways; in a directed
+ * graph only edges marked bidirectional can.
+ * @param {Array} nodes - The vis.js nodes
+ * @param {Array} edges - The vis.js edges, weights held in their labels
+ * @param {boolean} directed - Whether the graph is directed
+ * @param {Object} settings - { positions, physicsFrozen, distanceMetric }: canvas positions
+ *   keyed by node id, whether physics is switched off so the positions stay put, and the
+ *   metric weights are computed with in coordinate mode
+ * @returns {Object} - { directed, physicsFrozen, distanceMetric?, nodes: [{ label, x?, y?, attributes? }],
+ *   edges: [{ from, to, weight, bidirectional?, attributes? }] }
+ */
+export const serializeGraph = (nodes, edges, directed = true, settings = {}) => ({
+  directed,
+  physicsFrozen: Boolean(settings.physicsFrozen),
+  ...(settings.distanceMetric && { distanceMetric: settings.distanceMetric }),
+  nodes: nodes.map(node => {
+    const position = settings.positions?.[node.id];
+    return {
+      label: node.label,
+      ...(position && { x: roundPosition(position.x), y: roundPosition(position.y) }),
+      ...attributeFields(node.attributes)
+    };
+  }),
+  edges: edges.map(edge => ({
+    from: edge.from,
+    to: edge.to,
+    weight: parseWeight(edge.label) ?? 1,
+    ...(directed && edge.bidirectional ? { bidirectional: true } : {}),
+    ...attributeFields(edge.attributes)
+  }))
+});
+
+/**
+ * Convert a stored graph.data object into vis.js nodes and edges.
+ * Graphs saved before the directed flag existed are directed; nodes saved
+ * without a position are placed by the layout.
+ * @param {Object} graphData - { directed?, physicsFrozen?, distanceMetric?, nodes: [{ label, x?, y?, attributes? }],
+ *   edges: [{ from, to, weight, bidirectional?, attributes? }] }
+ * @returns {Object} - { nodes, edges, directed, physicsFrozen, distanceMetric } ready for the vis.js datasets
+ */
+export const deserializeGraph = (graphData) => {
+  const directed = graphData.directed !== false;
+
+  return {
+    directed,
+    physicsFrozen: Boolean(graphData.physicsFrozen),
+    distanceMetric: graphData.distanceMetric ?? null,
+    // Node ids are their labels
+    nodes: graphData.nodes.map(node => ({
+      id: node.label,
+      label: node.label,
+      ...(Number.isFinite(node.x) && Number.isFinite(node.y) && { x: node.x, y: node.y }),
+      ...attributeFields(node.attributes)
+    })),
+    // Use weight as label for visualization
+    edges: graphData.edges.map(edge => ({
+      id: getEdgeId(edge.from, edge.to),
+      from: edge.from,
+      to: edge.to,
+      label: String(edge.weight),
+      ...(directed && edge.bidirectional ? bidirectionalFields(true) : {}),
+      ...attributeFields(edge.attributes)
+    }))
+  };
+};
+
+/**
+ * Returns true when a keyboard or clipboard event originates from a text field, so that
+ * editing shortcuts (Delete, Backspace, paste, ...) don't fire while the user types
+ * @param {Event} event - The keyboard or clipboard event
+ * @returns {boolean}
+ */
+export const isTypingTarget = (event) => {
+  const target = event.target;
+  if (!target) return false;
+  return (
+    target.tagName === "INPUT" ||
+    target.tagName === "TEXTAREA" ||
+    target.tagName === "SELECT" ||
+    target.isContentEditable
+  );
+};
@@ -0,0 +1,95 @@
+import { parseCSVFile } from "../csvUtils";
+import { geoToCanvas } from "../distanceUtils";
+import { createGraphCollector } from "./graphCollector";
+
+// Header names recognised for each column, lowercased
+const COLUMN_ALIASES = {
+  label: ["name", "label", "id", "node", "city", "point"],
+  x: ["x"],
+  y: ["y"],
+  lat: ["lat", "latitude"],
+  lon: ["lon", "lng", "long", "longitude"],
+};
+
+/**
+ * @param {Array<string>} headers - The CSV headers
+ * @param {string} column - A key of COLUMN_ALIASES
+ * @returns {string|undefined} - The header of that column
+ */
+const findColumn = (headers, column) =>
+  headers.find(header => COLUMN_ALIASES[column].includes(header.trim().toLowerCase()));
+
+/**
+ * Work out which columns hold the coordinates
+ * @param {Array<string>} headers - The CSV headers
+ * @returns {Object|null} - { label, first, second, geo }, or null if there are no coordinate columns
+ */
+const findColumns = (headers) => {
+  const label = findColumn(headers, "label");
+  const x = findColumn(headers, "x");
+  const y = findColumn(headers, "y");
+  if (x && y) return { label, first: x, second: y, geo: false };
+
+  const lat = findColumn(headers, "lat");
+  const lon = findColumn(headers, "lon");
+  if (lat && lon) return { label, first: lat, second: lon, geo: true };
+
+  return null;
+};
+
+/**
+ * CSV of node positions, one node per row, with x and y or latitude and longitude
+ * columns and optionally a name column. The file has no edges: the graph is
+ * connected by distance, Euclidean for x/y and haversine for latitude/longitude.
+ * Nodes without a name column are numbered from 1.
+ */
+export const coordinateImporter = {
+  id: "coordinates",
+  label: "Node coordinates (CSV)",
+  extensions: ["csv", "tsv", "txt"],
+
+  sniff: (text) => {
+    const firstLine = text.trimStart().split(/\r?\n/)[0];
+    return findColumns(firstLine.split(/[,;\t]/)) !== null;
+  },
+
+  parse: async (text) => {
+    const { headers, rows } = await parseCSVFile(text);
+    const columns = findColumns(headers);
+    if (!columns) {
+      throw new Error("The file needs x and y, or latitude and longitude, columns.");
+    }
+
+    const collector = createGraphCollector();
+    const seen = new Set();
+
+    rows.forEach((row, index) => {
+      const where = `Row ${index + 1}`;
+      const label = columns.label ? String(row[columns.label] ?? "").trim() : String(index + 1);
+      const first = Number(row[columns.first]);
+      const second = Number(row[columns.second]);
+
+      if (!label) {
+        collector.reject(where, "Missing node name");
+        return;
+      }
+      if (seen.has(label)) {
+        collector.reject(where, `Duplicate node "${label}"`);
+        return;
+      }
+      if (String(row[columns.first] ?? "").trim() === "" || !Number.isFinite(first)) {
+        collector.reject(where, `${columns.first} "${row[columns.first] ?? ""}" is not a number`);
+        return;
+      }
+      if (String(row[columns.second] ?? "").trim() === "" || !Number.isFinite(second)) {
+        collector.reject(where, `${columns.second} "${row[columns.second] ?? ""}" is not a number`);
+        return;
+      }
+
+      seen.add(label);
+      collector.addNode(label, columns.geo ? geoToCanvas(first, second) : { x: first, y: second });
+    });
+
+    return { ...collector.result(), metric: columns.geo ? "haversine" : "euclidean" };
+  },
+};
@@ -0,0 +1,259 @@
+import { createGraphCollector } from "./graphCollector";
+import { parseAttributeValue } from "../attributeUtils";
+
+const PUNCTUATION = ["->", "--", "{", "}", "[", "]", ";", ",", "=", ":"];
+const KEYWORDS = ["strict", "graph", "digraph", "node", "edge", "subgraph"];
+// Edge attributes read into the weight and direction rather than kept as attributes
+const EDGE_KEYWORDS = ["weight", "label", "dir"];
+// Numerals and bare identifiers
+const ID_PATTERN = /-?(?:\.\d+|\d+(?:\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*/y;
+
+/**
+ * Split DOT source into tokens, dropping comments
+ * @param {string} text - The DOT source
+ * @returns {Array<Object>} - Tokens of { type: "id" | "punct", value, keyword, line }
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === "\n") {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (text.startsWith("//", i) || (char === "#" && (i === 0 || text[i - 1] === "\n"))) {
+      while (i < text.length && text[i] !== "\n") i++;
+    } else if (text.startsWith("/*", i)) {
+      const end = text.indexOf("*/", i + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      line += (text.slice(i, stop).match(/\n/g) || []).length;
+      i = stop;
+    } else if (char === '"') {
+      let value = "";
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === "\\" && text[i + 1] === '"') {
+          value += '"';
+          i += 2;
+        } else if (text[i] === "\\" && text[i + 1] === "\n") {
+          // Line continuation inside a string
+          line++;
+          i += 2;
+        } else {
+          if (text[i] === "\n") line++;
+          value += text[i];
+          i++;
+        }
+      }
+      i++;
+      tokens.push({ type: "id", value, keyword: false, line });
+    } else if (char === "<") {
+      // HTML-like label; only its text matters
+      let depth = 0;
+      const start = i;
+      do {
+        if (text[i] === "<") depth++;
+        if (text[i] === ">") depth--;
+        if (text[i] === "\n") line++;
+        i++;
+      } while (i < text.length && depth > 0);
+      tokens.push({ type: "id", value: text.slice(start + 1, i - 1), keyword: false, line });
+    } else if (PUNCTUATION.some(p => text.startsWith(p, i))) {
+      const value = PUNCTUATION.find(p => text.startsWith(p, i));
+      tokens.push({ type: "punct", value, line });
+      i += value.length;
+    } else {
+      ID_PATTERN.lastIndex = i;
+      const match = ID_PATTERN.exec(text);
+      if (!match) {
+        throw new Error(`Unexpected character "${char}" on line ${line}`);
+      }
+      const value = match[0];
+      tokens.push({ type: "id", value, keyword: KEYWORDS.includes(value.toLowerCase()), line });
+      i += value.length;
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Graphviz DOT, as written by networkx.nx_pydot.write_dot or the DOT exporter.
+ * Supports node, edge and attribute statements, edge chains and subgraphs;
+ * undirected ("--") and dir=both edges become pairs of directed edges. Edge weights
+ * come from the weight attribute, falling back to a numeric label; the other
+ * attributes of node and edge statements are kept as node and edge attributes.
+ */
+export const dotImporter = {
+  id: "dot",
+  label: "Graphviz DOT",
+  extensions: ["dot", "gv"],
+
+  sniff: (text) => /^\s*(strict\s+)?(di)?graph\b[^{]*\{/i.test(text.replace(/^\s*(\/\/[^\n]*\n|#[^\n]*\n|\/\*[\s\S]*?\*\/)*/, "")),
+
+  parse: (text) => {
+    const tokens = tokenize(text);
+    const collector = createGraphCollector();
+    let pos = 0;
+    let edgeCount = 0;
+    let edgeDefaults = {};
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const isPunct = (value) => peek()?.type === "punct" && peek().value === value;
+    const isKeyword = (value) => peek()?.type === "id" && peek().keyword && peek().value.toLowerCase() === value;
+    const expect = (value) => {
+      const token = next();
+      if (!token || token.value !== value) {
+        throw new Error(`Expected "${value}" on line ${token?.line ?? "end of file"}`);
+      }
+    };
+    const expectId = () => {
+      const token = next();
+      if (!token || token.type !== "id") {
+        throw new Error(`Expected a name on line ${token?.line ?? "end of file"}`);
+      }
+      return token;
+    };
+
+    // [a=b, c=d][e=f] -> { a: "b", c: "d", e: "f" }, keys as written
+    const parseAttributes = () => {
+      const attributes = {};
+      while (isPunct("[")) {
+        next();
+        while (!isPunct("]")) {
+          const key = expectId().value;
+          let value = "true";
+          if (isPunct("=")) {
+            next();
+            value = expectId().value;
+          }
+          attributes[key] = value;
+          if (isPunct(",") || isPunct(";")) next();
+        }
+        expect("]");
+      }
+      return attributes;
+    };
+
+    const parseNodeId = () => {
+      const id = expectId().value;
+      // Ports ("node:port:compass") don't affect the graph
+      while (isPunct(":")) {
+        next();
+        expectId();
+      }
+      return id;
+    };
+
+    let parseStatements;
+
+    // A subgraph, or a single node id; returns the node ids it names
+    const parseOperand = () => {
+      if (isKeyword("subgraph") || isPunct("{")) {
+        if (isKeyword("subgraph")) {
+          next();
+          if (peek()?.type === "id" && !isPunct("{")) next();
+        }
+        expect("{");
+        const nodes = parseStatements();
+        expect("}");
+        return nodes;
+      }
+      return [parseNodeId()];
+    };
+
+    // DOT keywords are case-insensitive, e.g. Weight=3
+    const toAttributes = (entries) =>
+      Object.fromEntries(entries.map(([key, value]) => [key, parseAttributeValue(value)]));
+
+    const addEdges = (fromNodes, toNodes, attributes, undirected, line) => {
+      const entries = Object.entries({ ...edgeDefaults, ...attributes });
+      const keyword = (name) => [...entries].reverse().find(([key]) => key.toLowerCase() === name)?.[1];
+      let weight = keyword("weight");
+      const label = keyword("label");
+      if (weight === undefined && label !== undefined && !isNaN(Number(label))) {
+        weight = label;
+      }
+      const edgeAttributes = toAttributes(entries.filter(([key]) => !EDGE_KEYWORDS.includes(key.toLowerCase())));
+
+      fromNodes.forEach(from => {
+        toNodes.forEach(to => {
+          edgeCount++;
+          const where = `Edge ${edgeCount} on line ${line}`;
+          collector.addEdge(from, to, weight, where, edgeAttributes);
+          if (undirected || keyword("dir") === "both") {
+            collector.addEdge(to, from, weight, `${where} (reverse)`, edgeAttributes);
+          }
+        });
+      });
+    };
+
+    // Parses statements up to the closing brace; returns every node id mentioned
+    parseStatements = () => {
+      const mentioned = new Set();
+
+      while (peek() && !isPunct("}")) {
+        if (isPunct(";")) {
+          next();
+          continue;
+        }
+
+        if (isKeyword("graph") || isKeyword("node") || isKeyword("edge")) {
+          const kind = next().value.toLowerCase();
+          const attributes = parseAttributes();
+          if (kind === "edge") edgeDefaults = { ...edgeDefaults, ...attributes };
+          continue;
+        }
+
+        const line = peek().line;
+        const first = parseOperand();
+
+        // Graph attribute assignment, e.g. rankdir=LR
+        if (isPunct("=")) {
+          next();
+          expectId();
+          continue;
+        }
+
+        const chain = [first];
+        const operators = [];
+        while (isPunct("->") || isPunct("--")) {
+          operators.push(next().value);
+          chain.push(parseOperand());
+        }
+        const attributes = parseAttributes();
+
+        // A node statement's attributes belong to its node, an edge statement's to its edges
+        const nodeAttributes = operators.length === 0 ? toAttributes(Object.entries(attributes)) : undefined;
+        chain.flat().forEach(node => {
+          collector.addNode(node, undefined, nodeAttributes);
+          mentioned.add(node);
+        });
+
+        for (let i = 0; i < operators.length; i++) {
+          addEdges(chain[i], chain[i + 1], attributes, operators[i] === "--", line);
+        }
+      }
+
+      return Array.from(mentioned);
+    };
+
+    if (isKeyword("strict")) next();
+    if (!isKeyword("graph") && !isKeyword("digraph")) {
+      throw new Error("A DOT file must start with \"graph\" or \"digraph\".");
+    }
+    next();
+    if (!isPunct("{")) expectId();
+    expect("{");
+    parseStatements();
+    expect("}");
+
+    return collector.result();
+  },
+};
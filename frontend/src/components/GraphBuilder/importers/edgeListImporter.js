@@ -0,0 +1,16 @@
+import { parseCSVFile } from "../csvUtils";
+
+/**
+ * CSV with one edge per row. Its parse only reads the table; the wizard asks
+ * which columns to use and builds the graph with buildGraphFromRows.
+ */
+export const edgeListImporter = {
+  id: "edgelist",
+  label: "CSV edge list",
+  extensions: ["csv", "tsv", "txt"],
+  kind: "table",
+
+  sniff: (text) => /[,;\t]/.test(text.trimStart().split(/\r?\n/)[0]),
+
+  parse: (text) => parseCSVFile(text),
+};
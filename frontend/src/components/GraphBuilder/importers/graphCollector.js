@@ -0,0 +1,100 @@
+import { getEdgeId, parseWeight } from "../graphUtils";
+import { attributeFields } from "../attributeUtils";
+
+/**
+ * Accumulates the nodes and edges an importer reads, applying the same rules
+ * to every format: no self-loops, no duplicate edges, non-negative weights.
+ * Anything that breaks them is reported instead of imported.
+ * @returns {Object} - { addNode, addEdge, reject, result }
+ */
+export const createGraphCollector = () => {
+  const nodeIds = new Set();
+  const positions = new Map();
+  const nodeAttributes = new Map();
+  const edgeSources = new Map();
+  const edges = [];
+  const rejected = [];
+
+  /**
+   * Report an entry that couldn't be imported
+   * @param {string} where - Where in the file it was, e.g. "Row 3"
+   * @param {string} reason - Why it was skipped
+   */
+  const reject = (where, reason) => {
+    rejected.push({ where, reason });
+  };
+
+  /**
+   * @param {string} label - The node label, which is also its id
+   * @param {Object} position - { x, y } on the canvas, if the file gives one
+   * @param {Object} attributes - The node's attributes, if the file gives any; merged
+   *   with those given for the node before
+   */
+  const addNode = (label, position, attributes) => {
+    nodeIds.add(String(label));
+    if (position) positions.set(String(label), position);
+    if (attributes) nodeAttributes.set(String(label), { ...nodeAttributes.get(String(label)), ...attributes });
+  };
+
+  /**
+   * @param {string} from - Source node label
+   * @param {string} to - Target node label
+   * @param {*} rawWeight - The weight as read from the file; undefined means 1
+   * @param {string} where - Where in the file the edge was, for error reports
+   * @param {Object} attributes - The edge's attributes, if the file gives any
+   * @returns {boolean} - Whether the edge was accepted
+   */
+  const addEdge = (from, to, rawWeight, where, attributes) => {
+    const source = String(from ?? "").trim();
+    const target = String(to ?? "").trim();
+
+    if (!source || !target) {
+      reject(where, `Missing ${!source ? "source" : "target"} node`);
+      return false;
+    }
+
+    if (source === target) {
+      reject(where, `Self-loop on node "${source}"`);
+      return false;
+    }
+
+    const weight = rawWeight === undefined ? 1 : parseWeight(rawWeight);
+    if (weight === null) {
+      reject(
+        where,
+        String(rawWeight ?? "").trim() === ""
+          ? "Missing weight"
+          : `Weight "${rawWeight}" is not a non-negative number`
+      );
+      return false;
+    }
+
+    const edgeId = getEdgeId(source, target);
+    if (edgeSources.has(edgeId)) {
+      reject(where, `Duplicate edge ${source} → ${target} (first defined at ${edgeSources.get(edgeId)})`);
+      return false;
+    }
+
+    nodeIds.add(source);
+    nodeIds.add(target);
+    edgeSources.set(edgeId, where);
+    edges.push({ id: edgeId, from: source, to: target, label: String(weight), ...attributeFields(attributes) });
+    return true;
+  };
+
+  /**
+   * @returns {Object} - { nodes, edges, rejected } ready for the import preview
+   */
+  const result = () => ({
+    nodes: Array.from(nodeIds).map(nodeId => ({
+      id: nodeId,
+      label: nodeId,
+      ...positions.get(nodeId),
+      ...attributeFields(nodeAttributes.get(nodeId))
+    })),
+    edges,
+    rejected,
+  });
+
+  return { addNode, addEdge, reject, result };
+};
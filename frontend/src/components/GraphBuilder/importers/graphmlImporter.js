@@ -0,0 +1,120 @@
+import { createGraphCollector } from "./graphCollector";
+
+// attr.name values treated as the edge weight, in order of preference
+const WEIGHT_ATTRIBUTES = ["weight", "cost", "distance", "length"];
+
+const NUMERIC_TYPES = ["int", "long", "float", "double"];
+
+/**
+ * Read a <data> value as its key's attr.type says
+ * @param {string} text - The text content
+ * @param {string|null} type - The attr.type of the key
+ * @returns {number|string|boolean}
+ */
+const parseDataValue = (text, type) => {
+  const value = text.trim();
+  if (type === "boolean") return value.toLowerCase() === "true";
+  if (NUMERIC_TYPES.includes(type) && value !== "" && Number.isFinite(Number(value))) return Number(value);
+  return value;
+};
+
+/**
+ * Read the attributes of a node or edge from its <data> children, falling back
+ * to the defaults of their keys
+ * @param {Element} element - The <node> or <edge>
+ * @param {Array<Object>} keys - [{ id, name, type, fallback }] for this kind of element
+ * @returns {Object} - Attribute values keyed by attr.name
+ */
+const readAttributes = (element, keys) => {
+  const data = new Map(
+    Array.from(element.children)
+      .filter(child => child.localName === "data")
+      .map(child => [child.getAttribute("key"), child.textContent])
+  );
+
+  return Object.fromEntries(
+    keys
+      .map(({ id, name, type, fallback }) => [name, data.get(id) ?? fallback, type])
+      .filter(([, text]) => text !== undefined)
+      .map(([name, text, type]) => [name, parseDataValue(text, type)])
+  );
+};
+
+/**
+ * GraphML, as written by networkx.write_graphml or the GraphML exporter.
+ * Undirected edges are imported as a pair of directed edges; <data> other
+ * than the weight becomes node and edge attributes.
+ */
+export const graphmlImporter = {
+  id: "graphml",
+  label: "GraphML",
+  extensions: ["graphml", "xml"],
+
+  sniff: (text) => /<graphml[\s>]/.test(text.slice(0, 2000)),
+
+  parse: (text) => {
+    const doc = new DOMParser().parseFromString(text, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length > 0) {
+      throw new Error("The file is not valid XML.");
+    }
+
+    const graph = doc.getElementsByTagName("graph")[0];
+    if (!graph) throw new Error("The GraphML file has no <graph> element.");
+
+    // Find the <key> that holds edge weights
+    const allKeys = Array.from(doc.getElementsByTagName("key"));
+    const keys = allKeys.filter(key => ["edge", "all", null].includes(key.getAttribute("for")));
+    const weightKey = WEIGHT_ATTRIBUTES
+      .map(name => keys.find(key => key.getAttribute("attr.name")?.toLowerCase() === name))
+      .find(Boolean);
+    const weightKeyId = weightKey?.getAttribute("id");
+    const defaultWeight = weightKey?.getElementsByTagName("default")[0]?.textContent;
+
+    // Every other named key becomes an attribute of the nodes or edges it is for
+    const attributeKeys = (kind) => allKeys
+      .filter(key => key !== weightKey && key.getAttribute("attr.name"))
+      .filter(key => [kind, "all", null].includes(key.getAttribute("for")))
+      .map(key => ({
+        id: key.getAttribute("id"),
+        name: key.getAttribute("attr.name"),
+        type: key.getAttribute("attr.type"),
+        fallback: key.getElementsByTagName("default")[0]?.textContent
+      }));
+    const nodeKeys = attributeKeys("node");
+    const edgeKeys = attributeKeys("edge");
+
+    const undirectedByDefault = graph.getAttribute("edgedefault") === "undirected";
+    const collector = createGraphCollector();
+
+    Array.from(graph.getElementsByTagName("node")).forEach((node, index) => {
+      const id = node.getAttribute("id");
+      if (!id) {
+        collector.reject(`Node ${index + 1}`, "Missing id");
+      } else {
+        collector.addNode(id, undefined, readAttributes(node, nodeKeys));
+      }
+    });
+
+    Array.from(graph.getElementsByTagName("edge")).forEach((edge, index) => {
+      const where = `Edge ${index + 1}`;
+      const source = edge.getAttribute("source");
+      const target = edge.getAttribute("target");
+
+      const data = weightKeyId
+        ? Array.from(edge.getElementsByTagName("data")).find(d => d.getAttribute("key") === weightKeyId)
+        : null;
+      const weight = data ? data.textContent.trim() : defaultWeight ?? undefined;
+
+      const directedAttribute = edge.getAttribute("directed");
+      const undirected = directedAttribute ? directedAttribute === "false" : undirectedByDefault;
+
+      const attributes = readAttributes(edge, edgeKeys);
+      collector.addEdge(source, target, weight, where, attributes);
+      if (undirected) {
+        collector.addEdge(target, source, weight, `${where} (reverse)`, attributes);
+      }
+    });
+
+    return collector.result();
+  },
+};
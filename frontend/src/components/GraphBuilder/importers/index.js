@@ -0,0 +1,70 @@
+import { jsonImporter } from "./jsonImporter";
+import { graphmlImporter } from "./graphmlImporter";
+import { dotImporter } from "./dotImporter";
+import { tsplibImporter } from "./tsplibImporter";
+import { coordinateImporter } from "./coordinateImporter";
+import { matrixImporter } from "./matrixImporter";
+import { edgeListImporter } from "./edgeListImporter";
+
+/*
+ * An importer is { id, label, extensions, sniff(text), parse(text), kind? }.
+ * parse returns (or resolves with) { nodes, edges, rejected } built with
+ * createGraphCollector, plus a metric (see DISTANCE_METRICS) when the nodes
+ * are meant to be connected by distance, and physicsFrozen when the nodes'
+ * positions are a finished layout that physics shouldn't move. Importers with kind "table" instead return
+ * { headers, rows } and go through the column mapping step first.
+ *
+ * Order matters when sniffing: a short coordinate list also reads as a square
+ * matrix, and the lenient edge list comes last.
+ */
+const IMPORTERS = [jsonImporter, graphmlImporter, dotImporter, tsplibImporter, coordinateImporter, matrixImporter, edgeListImporter];
+
+/**
+ * Add an importer. It is tried before the built-in ones.
+ * @param {Object} importer - The importer to add
+ */
+export const registerImporter = (importer) => {
+  IMPORTERS.unshift(importer);
+};
+
+/**
+ * @returns {Array<Object>} - Every registered importer
+ */
+export const getImporters = () => IMPORTERS;
+
+/**
+ * @param {string} id - The importer id
+ * @returns {Object|undefined}
+ */
+export const getImporter = (id) => IMPORTERS.find(importer => importer.id === id);
+
+/**
+ * Pick the importer for a file: importers claiming its extension are sniffed first,
+ * then every importer. A file whose extension is known but whose content no
+ * importer recognises goes to the first importer for that extension, so its
+ * parse error explains what is wrong.
+ * @param {string} fileName - The file name, used for its extension
+ * @param {string} text - The file contents
+ * @returns {Object|null} - The importer, or null if the format isn't recognised
+ */
+export const detectImporter = (fileName, text) => {
+  const extension = fileName.includes(".") ? fileName.split(".").pop().toLowerCase() : "";
+  const byExtension = IMPORTERS.filter(importer => importer.extensions.includes(extension));
+
+  const sniffs = (importer) => {
+    try {
+      return importer.sniff(text);
+    } catch {
+      return false;
+    }
+  };
+
+  return byExtension.find(sniffs) || IMPORTERS.find(sniffs) || byExtension[0] || null;
+};
+
+/**
+ * @param {File|string} file - An uploaded file, or pasted text
+ * @returns {Promise<string>} - The contents
+ */
+export const readImportText = (file) =>
+  typeof file === "string" ? Promise.resolve(file) : file.text();
@@ -0,0 +1,76 @@
+import { createGraphCollector } from "./graphCollector";
+import { DISTANCE_METRICS } from "../distanceUtils";
+
+/**
+ * Find the { nodes, edges } object in parsed JSON. Accepts graph.data itself,
+ * or a GET /api/graphs/:id response that wraps it in "graph".
+ * @param {*} json - The parsed JSON
+ * @returns {Object|null}
+ */
+const findGraphData = (json) => {
+  if (!json || typeof json !== "object") return null;
+  if (Array.isArray(json.edges)) return json;
+  if (json.graph && Array.isArray(json.graph.edges)) return json.graph;
+  if (json.data && Array.isArray(json.data.edges)) return json.data;
+  return null;
+};
+
+const parseJSONSafely = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * JSON in the backend's graph.data shape:
+ * { directed, physicsFrozen?, distanceMetric?, nodes: [{ label, x?, y?, attributes? }],
+ *   edges: [{ from, to, weight, bidirectional?, attributes? }] }
+ * Nodes keep their saved positions, and the layout and coordinate-mode settings come along.
+ */
+export const jsonImporter = {
+  id: "json",
+  label: "JSON (GraphWorks)",
+  extensions: ["json"],
+
+  sniff: (text) => text.trimStart().startsWith("{") && findGraphData(parseJSONSafely(text)) !== null,
+
+  parse: (text) => {
+    const json = parseJSONSafely(text);
+    if (json === null) throw new Error("The file is not valid JSON.");
+
+    const graphData = findGraphData(json);
+    if (!graphData) throw new Error("The JSON has no \"edges\" list.");
+
+    const collector = createGraphCollector();
+
+    (graphData.nodes || []).forEach((node, index) => {
+      const label = typeof node === "object" && node !== null ? node.label ?? node.id : node;
+      if (label === undefined || label === null || String(label).trim() === "") {
+        collector.reject(`Node ${index + 1}`, "Missing label");
+      } else {
+        const hasPosition = Number.isFinite(node?.x) && Number.isFinite(node?.y);
+        collector.addNode(String(label).trim(), hasPosition ? { x: node.x, y: node.y } : undefined, node?.attributes);
+      }
+    });
+
+    graphData.edges.forEach((edge, index) => {
+      const from = edge.from ?? edge.source;
+      const to = edge.to ?? edge.target;
+      const where = `Edge ${index + 1}`;
+
+      collector.addEdge(from, to, edge.weight ?? undefined, where, edge.attributes);
+      // Undirected graphs and bidirectional edges are imported as pairs
+      if (graphData.directed === false || edge.bidirectional) {
+        collector.addEdge(to, from, edge.weight ?? undefined, `${where} (reverse)`, edge.attributes);
+      }
+    });
+
+    return {
+      ...collector.result(),
+      ...(graphData.physicsFrozen === true && { physicsFrozen: true }),
+      ...(Object.hasOwn(DISTANCE_METRICS, graphData.distanceMetric ?? "") && { metric: graphData.distanceMetric }),
+    };
+  },
+};
@@ -0,0 +1,110 @@
+import { parse } from "papaparse";
+
+import { createGraphCollector } from "./graphCollector";
+
+// Cells that mean "no edge" in a distance matrix
+const NO_EDGE_CELLS = ["", "-", "inf", "infinity", "x", "none", "null"];
+
+const isNumeric = (cell) => cell.trim() !== "" && !isNaN(Number(cell));
+const isNoEdge = (cell) => NO_EDGE_CELLS.includes(cell.trim().toLowerCase());
+
+/**
+ * Split CSV text into trimmed cells, detecting the delimiter
+ * @param {string} text - The file contents
+ * @returns {Array<Array<string>>}
+ */
+const readGrid = (text) =>
+  parse(text.trim(), { skipEmptyLines: true }).data.map(row => row.map(cell => String(cell).trim()));
+
+/**
+ * Find the node labels and the square block of weights in a grid. The first
+ * row and column hold labels when they aren't numeric; otherwise nodes are numbered from 0.
+ * @param {Array<Array<string>>} grid - The cells
+ * @returns {Object|null} - { labels, cells, hasHeaderRow, hasLabelColumn }, or null if the grid isn't a square matrix
+ */
+const findMatrix = (grid) => {
+  if (grid.length === 0) return null;
+
+  const firstRow = grid[0];
+  const hasHeaderRow = firstRow.slice(1).some(cell => !isNumeric(cell) && !isNoEdge(cell));
+  const body = hasHeaderRow ? grid.slice(1) : grid;
+  const hasLabelColumn = body.some(row => !isNumeric(row[0]) && !isNoEdge(row[0]));
+
+  const cells = body.map(row => (hasLabelColumn ? row.slice(1) : row));
+  const size = cells.length;
+  if (size < 2 || cells.some(row => row.length !== size)) return null;
+  if (cells.some(row => row.some(cell => !isNumeric(cell) && !isNoEdge(cell)))) return null;
+
+  let labels;
+  if (hasLabelColumn) {
+    labels = body.map(row => row[0]);
+  } else if (hasHeaderRow) {
+    labels = firstRow.slice(firstRow.length - size);
+  } else {
+    labels = cells.map((_, index) => String(index));
+  }
+
+  return { labels, cells, hasHeaderRow, hasLabelColumn };
+};
+
+// Two cells hold the same weight, or both mean no edge
+const sameWeight = (a, b) => (isNoEdge(a) ? isNoEdge(b) : !isNoEdge(b) && Number(a) === Number(b));
+
+/**
+ * Whether a square block of cells reads like a matrix rather than rows of data:
+ * the same both ways, or with no edge from any node to itself
+ * @param {Array<Array<string>>} cells - The square block of weights
+ * @returns {boolean}
+ */
+const looksLikeMatrix = (cells) =>
+  cells.every((row, i) => isNoEdge(row[i]) || Number(row[i]) === 0) ||
+  cells.every((row, i) => row.every((cell, j) => sameWeight(cell, cells[j][i])));
+
+/**
+ * Square adjacency or distance matrix in CSV: cell (i, j) is the weight of the edge i → j.
+ * Blank, "-" and "inf" cells mean no edge. In a matrix of only 0s and 1s a 0 also
+ * means no edge; anywhere else 0 is a real, free edge.
+ */
+export const matrixImporter = {
+  id: "matrix",
+  label: "Adjacency / distance matrix (CSV)",
+  extensions: ["csv", "tsv", "txt"],
+
+  // A header row over numeric columns could just as well be an edge list, so only
+  // claim grids that are labelled on both axes, or all numbers and shaped like a
+  // matrix: a few from,to,weight rows are square too
+  sniff: (text) => {
+    const matrix = findMatrix(readGrid(text));
+    if (matrix === null || matrix.hasHeaderRow !== matrix.hasLabelColumn) return false;
+    return matrix.hasHeaderRow || looksLikeMatrix(matrix.cells);
+  },
+
+  parse: (text) => {
+    const matrix = findMatrix(readGrid(text));
+    if (!matrix) {
+      throw new Error("The file is not a square matrix: every row needs one value per node.");
+    }
+
+    const { labels, cells } = matrix;
+    const isAdjacency = cells.every(row => row.every(cell => isNoEdge(cell) || cell === "0" || cell === "1"));
+    const collector = createGraphCollector();
+
+    labels.forEach((label, index) => {
+      if (label === "") {
+        collector.reject(`Row ${index + 1}`, "Missing node label");
+      } else {
+        collector.addNode(label);
+      }
+    });
+
+    cells.forEach((row, i) => {
+      row.forEach((cell, j) => {
+        if (i === j || isNoEdge(cell) || (isAdjacency && cell === "0")) return;
+        if (!labels[i] || !labels[j]) return;
+        collector.addEdge(labels[i], labels[j], cell, `Row ${i + 1}, column ${j + 1}`);
+      });
+    });
+
+    return collector.result();
+  },
+};
@@ -0,0 +1,144 @@
+import { createGraphCollector } from "./graphCollector";
+
+const SECTIONS = ["NODE_COORD_SECTION", "EDGE_WEIGHT_SECTION", "DISPLAY_DATA_SECTION", "FIXED_EDGES_SECTION", "DEPOT_SECTION", "DEMAND_SECTION"];
+
+// Matrix layouts: for row i of an n-node matrix, which columns are listed.
+// The column-wise layouts list a symmetric matrix in the same order as their row-wise mirror.
+const ROW_LAYOUTS = {
+  FULL_MATRIX: (i, n) => [0, n],
+  UPPER_ROW: (i, n) => [i + 1, n],
+  LOWER_ROW: (i) => [0, i],
+  UPPER_DIAG_ROW: (i, n) => [i, n],
+  LOWER_DIAG_ROW: (i) => [0, i + 1],
+};
+ROW_LAYOUTS.LOWER_COL = ROW_LAYOUTS.UPPER_ROW;
+ROW_LAYOUTS.UPPER_COL = ROW_LAYOUTS.LOWER_ROW;
+ROW_LAYOUTS.LOWER_DIAG_COL = ROW_LAYOUTS.UPPER_DIAG_ROW;
+ROW_LAYOUTS.UPPER_DIAG_COL = ROW_LAYOUTS.LOWER_DIAG_ROW;
+
+/**
+ * Split a TSPLIB file into its "KEY : value" header and the lines of each data section
+ * @param {string} text - The file contents
+ * @returns {Object} - { header, sections }
+ */
+const splitFile = (text) => {
+  const header = {};
+  const sections = {};
+  let current = null;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line || line === "EOF") return;
+
+    const keyword = line.split(/[\s:]/)[0].toUpperCase();
+    if (SECTIONS.includes(keyword)) {
+      current = keyword;
+      sections[current] = [];
+      return;
+    }
+
+    const headerMatch = /^([A-Z_]+)\s*:\s*(.*)$/i.exec(line);
+    if (headerMatch && isNaN(Number(headerMatch[1]))) {
+      header[headerMatch[1].toUpperCase()] = headerMatch[2].trim();
+      current = null;
+      return;
+    }
+
+    if (current) sections[current].push(line);
+  });
+
+  return { header, sections };
+};
+
+/**
+ * Read EDGE_WEIGHT_SECTION into a full n x n matrix
+ * @param {Array<string>} lines - The section's lines
+ * @param {number} dimension - The number of nodes
+ * @param {string} format - The EDGE_WEIGHT_FORMAT
+ * @returns {Array<Array<string>>} - matrix[i][j], undefined where the format gives no value
+ */
+const readExplicitMatrix = (lines, dimension, format) => {
+  const layout = ROW_LAYOUTS[format];
+  if (!layout) throw new Error(`EDGE_WEIGHT_FORMAT "${format}" is not supported.`);
+
+  const values = lines.join(" ").split(/\s+/).filter(Boolean);
+  const matrix = Array.from({ length: dimension }, () => new Array(dimension));
+  let next = 0;
+
+  for (let i = 0; i < dimension; i++) {
+    const [start, end] = layout(i, dimension);
+    for (let j = start; j < end; j++) {
+      if (next >= values.length) {
+        throw new Error(`EDGE_WEIGHT_SECTION ends early: expected more than ${values.length} values.`);
+      }
+      matrix[i][j] = values[next++];
+      if (format !== "FULL_MATRIX") matrix[j][i] = matrix[i][j];
+    }
+  }
+
+  return matrix;
+};
+
+/**
+ * TSPLIB .tsp / .atsp instances with EUC_2D coordinates or an EXPLICIT weight matrix.
+ * Every pair of nodes is connected; symmetric instances get both directions, ATSP keeps the matrix as-is.
+ * Nodes keep their TSPLIB numbers as labels, and EUC_2D nodes their coordinates.
+ */
+export const tsplibImporter = {
+  id: "tsplib",
+  label: "TSPLIB",
+  extensions: ["tsp", "atsp"],
+
+  sniff: (text) => /^\s*DIMENSION\s*:/im.test(text) && /^\s*EDGE_WEIGHT_TYPE\s*:/im.test(text),
+
+  parse: (text) => {
+    const { header, sections } = splitFile(text);
+    const dimension = Number(header.DIMENSION);
+    const weightType = (header.EDGE_WEIGHT_TYPE || "").toUpperCase();
+    const directed = (header.TYPE || "").toUpperCase() === "ATSP";
+
+    if (!Number.isInteger(dimension) || dimension < 1) {
+      throw new Error("The file has no valid DIMENSION.");
+    }
+
+    const collector = createGraphCollector();
+
+    if (weightType === "EUC_2D") {
+      const coordinates = (sections.NODE_COORD_SECTION || []).map(line => line.split(/\s+/));
+      if (coordinates.length !== dimension) {
+        throw new Error(`Expected ${dimension} coordinates in NODE_COORD_SECTION, found ${coordinates.length}.`);
+      }
+
+      // Keep the layout of the instance; TSPLIB's y axis points up, the canvas's down
+      coordinates.forEach(([label, x, y]) => {
+        const position = { x: Number(x), y: -Number(y) };
+        collector.addNode(label, Number.isFinite(position.x) && Number.isFinite(position.y) ? position : undefined);
+      });
+      coordinates.forEach(([fromLabel, x1, y1], i) => {
+        coordinates.forEach(([toLabel, x2, y2], j) => {
+          if (i === j) return;
+          // TSPLIB rounds Euclidean distances to the nearest integer
+          const distance = Math.round(Math.hypot(x1 - x2, y1 - y2));
+          collector.addEdge(fromLabel, toLabel, isNaN(distance) ? "" : distance, `Nodes ${fromLabel} → ${toLabel}`);
+        });
+      });
+    } else if (weightType === "EXPLICIT") {
+      const format = (header.EDGE_WEIGHT_FORMAT || "FULL_MATRIX").toUpperCase();
+      if (directed && format !== "FULL_MATRIX") {
+        throw new Error("ATSP instances must use a FULL_MATRIX.");
+      }
+
+      const matrix = readExplicitMatrix(sections.EDGE_WEIGHT_SECTION || [], dimension, format);
+      for (let i = 0; i < dimension; i++) {
+        collector.addNode(String(i + 1));
+        for (let j = 0; j < dimension; j++) {
+          if (i !== j) collector.addEdge(i + 1, j + 1, matrix[i][j], `Nodes ${i + 1} → ${j + 1}`);
+        }
+      }
+    } else {
+      throw new Error(`EDGE_WEIGHT_TYPE "${weightType || "missing"}" is not supported; use EUC_2D or EXPLICIT.`);
+    }
+
+    return collector.result();
+  },
+};
@@ -0,0 +1,51 @@
+/**
+ * Lay out a graph in a web worker. The vis.js physics would need minutes on
+ * the main thread for a graph of a few hundred densely connected nodes.
+ * @param {Array<string>} nodeIds - Every node id
+ * @param {Array} edges - The vis.js edges
+ * @param {Object} fixedPositions - Positions of the nodes that must stay put, keyed by node id
+ * @param {Function} onProgress - Called with the progress, in [0, 1]
+ * @returns {Object} - { promise, cancel }. The promise resolves with a position for every
+ *   node, keyed by node id; it never settles if the job is cancelled.
+ */
+export const layoutInWorker = (nodeIds, edges, fixedPositions, onProgress) => {
+  const worker = new Worker(new URL("./layoutWorker.js", import.meta.url), { type: "module" });
+  const indexOf = new Map(nodeIds.map((nodeId, index) => [nodeId, index]));
+
+  const promise = new Promise((resolve, reject) => {
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        onProgress(data.progress);
+        return;
+      }
+      worker.terminate();
+      resolve(Object.fromEntries(nodeIds.map((nodeId, index) => [nodeId, data.positions[index]])));
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || "The layout worker failed"));
+    };
+  });
+
+  worker.postMessage({
+    count: nodeIds.length,
+    edges: edges
+      .filter(edge => indexOf.has(edge.from) && indexOf.has(edge.to))
+      .map(edge => [indexOf.get(edge.from), indexOf.get(edge.to)]),
+    fixed: nodeIds.map(nodeId => fixedPositions[nodeId] ?? null)
+  });
+
+  return { promise, cancel: () => worker.terminate() };
+};
+
+/**
+ * The positions nodes already have, e.g. from a saved layout
+ * @param {Array} nodes - The vis.js nodes
+ * @returns {Object} - { x, y } keyed by node id, for the nodes that have both
+ */
+export const getPlacedPositions = (nodes) =>
+  Object.fromEntries(
+    nodes
+      .filter(node => Number.isFinite(node.x) && Number.isFinite(node.y))
+      .map(node => [node.id, { x: node.x, y: node.y }])
+  );
@@ -0,0 +1,92 @@
+// Force-directed layout (Fruchterman-Reingold) for large graphs, run off the
+// main thread so the page stays responsive. Nodes are numbered 0..count-1.
+//
+// In:  { count, edges: [[from, to]], fixed: [{ x, y } | null] }
+// Out: { type: "progress", progress } while running, in [0, 1]
+//      { type: "done", positions: [{ x, y }] } at the end
+
+// Ideal distance between connected nodes, in canvas units
+const SPACING = 120;
+
+// Roughly how many force calculations to spend on a layout
+const WORK_BUDGET = 3e7;
+
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+self.onmessage = ({ data }) => {
+  const { count, edges, fixed } = data;
+  const iterations = Math.min(300, Math.max(50, Math.round(WORK_BUDGET / (count * count / 2 + edges.length))));
+
+  // Start unplaced nodes on a sunflower spiral, which spreads them evenly
+  const x = new Float64Array(count);
+  const y = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    if (fixed[i]) {
+      x[i] = fixed[i].x;
+      y[i] = fixed[i].y;
+    } else {
+      const radius = SPACING * Math.sqrt(i + 1);
+      x[i] = radius * Math.cos(i * GOLDEN_ANGLE);
+      y[i] = radius * Math.sin(i * GOLDEN_ANGLE);
+    }
+  }
+
+  const dx = new Float64Array(count);
+  const dy = new Float64Array(count);
+  const k2 = SPACING * SPACING;
+  // Dense graphs would be pulled into a tight ball, so their edges pull less,
+  // as if there were about one per node
+  const attraction = Math.min(1, count / Math.max(edges.length, 1));
+  let temperature = (SPACING * Math.sqrt(count)) / 2;
+  const cooling = temperature / iterations;
+  const reportEvery = Math.max(1, Math.floor(iterations / 50));
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    dx.fill(0);
+    dy.fill(0);
+
+    // Every pair of nodes pushes apart
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const ddx = x[i] - x[j];
+        const ddy = y[i] - y[j];
+        const force = k2 / Math.max(ddx * ddx + ddy * ddy, 0.01);
+        dx[i] += ddx * force;
+        dy[i] += ddy * force;
+        dx[j] -= ddx * force;
+        dy[j] -= ddy * force;
+      }
+    }
+
+    // Edges pull their ends together
+    for (const [from, to] of edges) {
+      const ddx = x[from] - x[to];
+      const ddy = y[from] - y[to];
+      const force = (attraction * Math.sqrt(ddx * ddx + ddy * ddy)) / SPACING;
+      dx[from] -= ddx * force;
+      dy[from] -= ddy * force;
+      dx[to] += ddx * force;
+      dy[to] += ddy * force;
+    }
+
+    // Nodes move no further than the temperature, which cools each round
+    for (let i = 0; i < count; i++) {
+      if (fixed[i]) continue;
+      const length = Math.sqrt(dx[i] * dx[i] + dy[i] * dy[i]);
+      if (length === 0) continue;
+      const step = Math.min(length, temperature) / length;
+      x[i] += dx[i] * step;
+      y[i] += dy[i] * step;
+    }
+    temperature -= cooling;
+
+    if (iteration % reportEvery === 0) {
+      self.postMessage({ type: "progress", progress: iteration / iterations });
+    }
+  }
+
+  self.postMessage({
+    type: "done",
+    positions: Array.from({ length: count }, (_, i) => ({ x: Math.round(x[i]), y: Math.round(y[i]) }))
+  });
+};
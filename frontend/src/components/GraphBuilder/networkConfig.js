@@ -43,7 +43,51 @@ export const networkOptions = {
   },
   interaction: {
     hover: true,
-    multiselect: false,
+    // Ctrl+click adds to the selection; selecting a node doesn't select its edges
+    multiselect: true,
+    selectConnectedEdges: false,
     dragNodes: true
   },
-};
\ No newline at end of file
+};
+// Undirected graphs are drawn without arrowheads; bidirectional edges set their own
+export const directionOptions = (directed) => ({
+  edges: {
+    arrows: {
+      to: { enabled: directed },
+    },
+  },
+});
+
+// Graphs with at least this many nodes are drawn in performance mode.
+// Set VITE_LARGE_GRAPH_THRESHOLD in .env.local to change it.
+export const LARGE_GRAPH_THRESHOLD = Number(import.meta.env.VITE_LARGE_GRAPH_THRESHOLD) || 500;
+
+export const isLargeGraph = (nodeCount) => nodeCount >= LARGE_GRAPH_THRESHOLD;
+
+// Labels are only drawn once zoomed in far enough to read them; shadows and
+// curves go, and edges are hidden while the view moves. Physics stays off:
+// large graphs are laid out in a worker instead (see layoutUtils).
+// Called with false, it puts back the networkOptions defaults.
+export const performanceOptions = (enabled) => ({
+  layout: { improvedLayout: enabled ? false : networkOptions.layout.improvedLayout },
+  nodes: {
+    shadow: enabled ? false : networkOptions.nodes.shadow,
+    scaling: { label: { drawThreshold: enabled ? 10 : 5 } },
+  },
+  edges: {
+    shadow: enabled ? false : networkOptions.edges.shadow,
+    smooth: enabled ? false : { enabled: true, ...networkOptions.edges.smooth },
+    width: enabled ? 1 : networkOptions.edges.width,
+    scaling: { label: { drawThreshold: enabled ? 14 : 5 } },
+  },
+  interaction: {
+    hideEdgesOnDrag: enabled,
+    hideEdgesOnZoom: enabled,
+  },
+});
+
+// How the view glides when it is fitted to the graph or moved to a node
+export const viewAnimation = {
+  duration: 500,
+  easingFunction: "easeInOutQuad",
+};
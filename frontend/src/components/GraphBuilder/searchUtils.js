@@ -0,0 +1,106 @@
+import { parseWeight } from "./graphUtils";
+
+// How many matches the search box lists
+export const MAX_SEARCH_RESULTS = 10;
+
+/**
+ * Score how well a search query matches a node name, ignoring case. An exact
+ * match beats a prefix, a prefix beats a substring, and a substring beats the
+ * query's characters merely appearing in order, e.g. "nyc" in "New York City".
+ * @param {string} query - What was typed
+ * @param {string} text - The node name
+ * @returns {number|null} - Higher is better; null if the name doesn't match
+ */
+export const fuzzyScore = (query, text) => {
+  const needle = query.trim().toLowerCase();
+  const haystack = String(text).toLowerCase();
+  if (!needle) return null;
+
+  if (haystack === needle) return 4000;
+  if (haystack.startsWith(needle)) return 3000 - haystack.length;
+
+  const index = haystack.indexOf(needle);
+  if (index !== -1) return 2000 - index;
+
+  // Characters in order; the fewer skipped between them, the better
+  let position = 0;
+  let skipped = 0;
+  for (const char of needle) {
+    const next = haystack.indexOf(char, position);
+    if (next === -1) return null;
+    if (position > 0) skipped += next - position;
+    position = next + 1;
+  }
+  return 1000 - skipped;
+};
+
+/**
+ * Find the nodes whose names match a search query, best match first
+ * @param {Array} nodes - The vis.js nodes
+ * @param {string} query - What was typed
+ * @param {number} limit - How many matches to return at most
+ * @returns {Array} - The matching nodes
+ */
+export const searchNodes = (nodes, query, limit = MAX_SEARCH_RESULTS) =>
+  nodes
+    .map(node => ({ node, score: fuzzyScore(query, node.label) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score || String(a.node.label).localeCompare(String(b.node.label)))
+    .slice(0, limit)
+    .map(({ node }) => node);
+
+// The edges passing a weight test, and the nodes at their ends
+const edgesWhere = (edges, test) => {
+  const kept = edges.filter(edge => test(parseWeight(edge.label) ?? 1));
+  return {
+    nodeIds: new Set(kept.flatMap(edge => [edge.from, edge.to])),
+    edgeIds: new Set(kept.map(edge => edge.id)),
+  };
+};
+
+// Ways of narrowing the canvas down; everything a filter doesn't keep is dimmed.
+// Each takes the value typed for it and returns null while that value is unusable.
+export const FILTERS = {
+  weightAbove: {
+    label: "Edges with weight above",
+    input: "number",
+    apply: (value, nodes, edges) => {
+      const threshold = parseWeight(value);
+      return threshold === null ? null : edgesWhere(edges, weight => weight > threshold);
+    },
+  },
+  weightBelow: {
+    label: "Edges with weight below",
+    input: "number",
+    apply: (value, nodes, edges) => {
+      const threshold = parseWeight(value);
+      return threshold === null ? null : edgesWhere(edges, weight => weight < threshold);
+    },
+  },
+  neighbours: {
+    label: "Neighbours of node",
+    input: "node",
+    apply: (value, nodes, edges) => {
+      if (!nodes.some(node => node.id === value)) return null;
+
+      // Either end will do, so a directed graph shows what leads in as well as out
+      const kept = edges.filter(edge => edge.from === value || edge.to === value);
+      return {
+        nodeIds: new Set([value, ...kept.flatMap(edge => [edge.from, edge.to])]),
+        edgeIds: new Set(kept.map(edge => edge.id)),
+      };
+    },
+  },
+};
+
+/**
+ * Work out what a filter keeps
+ * @param {Object|null} filter - { type, value }, type a key of FILTERS; null for no filter
+ * @param {Array} nodes - The vis.js nodes
+ * @param {Array} edges - The vis.js edges
+ * @returns {Object|null} - { nodeIds, edgeIds }, Sets of what to leave undimmed; null to dim nothing
+ */
+export const applyFilter = (filter, nodes, edges) => {
+  if (!filter || !FILTERS[filter.type]) return null;
+  return FILTERS[filter.type].apply(filter.value, nodes, edges);
+};
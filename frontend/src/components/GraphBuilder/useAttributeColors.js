@@ -0,0 +1,55 @@
+import { useState, useEffect } from "react";
+
+import { colorByAttribute, getAttributeKeys } from "./attributeUtils";
+
+/**
+ * Color the nodes by the value of one of their attributes. The colors are kept
+ * up to date as nodes and attributes change; nodes without the attribute keep
+ * the default color. Colors are set outside any undo step and aren't saved.
+ * @param {DataSet|null} networkNodes - The vis.js nodes dataset, null until there is one
+ * @returns {Object} - { colorBy, setColorBy, attributeKeys, legend }: the attribute
+ *   colored by ("" for none), the node attributes to choose from, and [{ value, color }]
+ */
+const useAttributeColors = (networkNodes) => {
+  const [colorBy, setColorBy] = useState("");
+  const [attributeKeys, setAttributeKeys] = useState([]);
+  const [legend, setLegend] = useState([]);
+
+  // A bulk edit fires several dataset events, so recolor at most once per frame
+  useEffect(() => {
+    if (!networkNodes) return;
+    let frame = null;
+
+    const update = () => {
+      frame = null;
+      const nodes = networkNodes.get();
+      const keys = getAttributeKeys(nodes);
+      const { colors, legend } = keys.includes(colorBy)
+        ? colorByAttribute(nodes, colorBy)
+        : { colors: new Map(), legend: [] };
+
+      setAttributeKeys(keys);
+      setLegend(legend);
+
+      // Only touch nodes whose color changes, so this settles after one round
+      const changed = nodes
+        .filter(node => (node.color ?? null) !== (colors.get(node.id) ?? null))
+        .map(node => ({ id: node.id, color: colors.get(node.id) ?? null }));
+      if (changed.length > 0) networkNodes.update(changed);
+    };
+    const scheduleUpdate = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    networkNodes.on("*", scheduleUpdate);
+    return () => {
+      networkNodes.off("*", scheduleUpdate);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [networkNodes, colorBy]);
+
+  return { colorBy, setColorBy, attributeKeys, legend };
+};
+
+export default useAttributeColors;
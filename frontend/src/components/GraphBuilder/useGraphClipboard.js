@@ -0,0 +1,178 @@
+import { useEffect, useRef } from "react";
+
+import { serializeSubgraph, parseSubgraph } from "./clipboardUtils";
+import { attributeFields } from "./attributeUtils";
+import {
+  getEdgeId,
+  parseWeight,
+  isTypingTarget,
+  bidirectionalFields,
+  getCopyName,
+  mergeReciprocalEdges
+} from "./graphUtils";
+import { useDialogs } from "../Dialogs/dialogContext";
+
+/**
+ * Copying the selected nodes: Ctrl+C to the system clipboard, pasting a copied
+ * subgraph back in, possibly into another graph, and duplicating in place
+ * @param {Object} editor - { networkNodes, networkEdges, networkInstance, selection, selectItems,
+ *   recordChanges, linkNodesByDistance, isDirected } from useGraphEditor
+ * @returns {Object} - { duplicateSelection, pasteSubgraph }
+ */
+const useGraphClipboard = ({
+  networkNodes,
+  networkEdges,
+  networkInstance,
+  selection,
+  selectItems,
+  recordChanges,
+  linkNodesByDistance,
+  isDirected
+}) => {
+  const { showToast } = useDialogs();
+
+  // Copy the selected nodes, and the edges between them, next to the originals
+  const duplicateSelection = () => {
+    const { nodes } = selection;
+    if (nodes.length === 0) return;
+
+    const positions = networkInstance.current?.getPositions(nodes) ?? {};
+    const copyNames = new Map();
+    const isTaken = (name) => Boolean(networkNodes.get(name)) || [...copyNames.values()].includes(name);
+    nodes.forEach(nodeId => copyNames.set(nodeId, getCopyName(nodeId, isTaken)));
+
+    const innerEdges = networkEdges.get({
+      filter: (edge) => copyNames.has(edge.from) && copyNames.has(edge.to)
+    });
+
+    try {
+      recordChanges("Duplicate selection", () => {
+        networkNodes.add(nodes.map(nodeId => {
+          const name = copyNames.get(nodeId);
+          const position = positions[nodeId];
+          return {
+            ...networkNodes.get(nodeId),
+            id: name,
+            label: name,
+            ...(position && { x: position.x + 60, y: position.y + 60 })
+          };
+        }));
+        networkEdges.add(innerEdges.map(edge => {
+          const from = copyNames.get(edge.from);
+          const to = copyNames.get(edge.to);
+          return { ...edge, id: getEdgeId(from, to), from, to };
+        }));
+        linkNodesByDistance([...copyNames.values()]);
+      });
+
+      selectItems([...copyNames.values()], []);
+    } catch (error) {
+      console.error("Error duplicating selection:", error);
+      showToast("Failed to duplicate selection", "error");
+    }
+  };
+
+  /**
+   * Paste a subgraph copied with Ctrl+C, possibly from another graph. Nodes whose
+   * labels are taken are renamed, and the copy is centred in the current view.
+   * @param {string} text - The clipboard text
+   * @returns {boolean} - Whether the text was a copied subgraph
+   */
+  const pasteSubgraph = (text) => {
+    const subgraph = parseSubgraph(text);
+    if (!subgraph) return false;
+    if (subgraph.nodes.length === 0) return true;
+
+    const names = new Map();
+    const isTaken = (name) => Boolean(networkNodes.get(name)) || [...names.values()].includes(name);
+    subgraph.nodes.forEach(({ label }) => {
+      names.set(label, isTaken(label) ? getCopyName(label, isTaken) : label);
+    });
+
+    // Move the copy so its centre is the centre of the view, nudged aside if it
+    // would land on its originals
+    const placed = subgraph.nodes.filter(node => Number.isFinite(node.x) && Number.isFinite(node.y));
+    let offset = null;
+    if (networkInstance.current && placed.length > 0) {
+      const view = networkInstance.current.getViewPosition();
+      const centre = {
+        x: placed.reduce((sum, node) => sum + node.x, 0) / placed.length,
+        y: placed.reduce((sum, node) => sum + node.y, 0) / placed.length
+      };
+      const nudge = subgraph.nodes.some(({ label }) => names.get(label) !== label) ? 60 : 0;
+      offset = { x: view.x - centre.x + nudge, y: view.y - centre.y + nudge };
+    }
+
+    const sourceDirected = subgraph.directed !== false;
+
+    try {
+      recordChanges("Paste", () => {
+        networkNodes.add(subgraph.nodes.map(node => {
+          const name = names.get(node.label);
+          const hasPosition = offset && Number.isFinite(node.x) && Number.isFinite(node.y);
+          return {
+            id: name,
+            label: name,
+            ...(hasPosition && { x: node.x + offset.x, y: node.y + offset.y }),
+            ...attributeFields(node.attributes)
+          };
+        }));
+
+        const edges = subgraph.edges
+          .filter(edge => names.has(edge.from) && names.has(edge.to))
+          .map(edge => {
+            const from = names.get(edge.from);
+            const to = names.get(edge.to);
+            const bothWays = !sourceDirected || Boolean(edge.bidirectional);
+            return {
+              id: getEdgeId(from, to),
+              from,
+              to,
+              label: String(parseWeight(edge.weight) ?? 1),
+              ...(isDirected && bothWays ? bidirectionalFields(true) : {}),
+              ...attributeFields(edge.attributes)
+            };
+          });
+        networkEdges.add(edges);
+
+        if (!isDirected) mergeReciprocalEdges(networkEdges);
+        linkNodesByDistance([...names.values()]);
+      });
+
+      selectItems([...names.values()], []);
+    } catch (error) {
+      console.error("Error pasting subgraph:", error);
+      showToast("Failed to paste", "error");
+    }
+    return true;
+  };
+
+  // Ctrl+C puts the selected nodes and the edges between them on the system clipboard
+  const copyHandler = useRef(null);
+  copyHandler.current = (event) => {
+    if (isTypingTarget(event) || selection.nodes.length === 0) return;
+    // Leave ordinary text selections on the page alone
+    if (window.getSelection()?.toString()) return;
+
+    const nodes = networkNodes.get(selection.nodes);
+    const edges = networkEdges.get({
+      filter: (edge) => selection.nodes.includes(edge.from) && selection.nodes.includes(edge.to)
+    });
+    const positions = networkInstance.current?.getPositions(selection.nodes) ?? {};
+
+    event.clipboardData.setData("text/plain", serializeSubgraph(nodes, edges, positions, isDirected));
+    event.preventDefault();
+    showToast(`Copied ${nodes.length} node${nodes.length === 1 ? "" : "s"} and ${edges.length} edge${edges.length === 1 ? "" : "s"}`, "success");
+  };
+
+  useEffect(() => {
+    const handleCopy = (event) => copyHandler.current(event);
+
+    document.addEventListener("copy", handleCopy);
+    return () => document.removeEventListener("copy", handleCopy);
+  }, []);
+
+  return { duplicateSelection, pasteSubgraph };
+};
+
+export default useGraphClipboard;
@@ -0,0 +1,873 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { Network } from "vis-network";
+import { DataSet } from "vis-data";
+
+import { networkOptions, isLargeGraph, performanceOptions, viewAnimation } from "./networkConfig";
+import { layoutInWorker, getPlacedPositions } from "./layoutUtils";
+import { watchChanges, undoCommand, redoCommand } from "./graphHistory";
+import { computeDistance, linkByDistance } from "./distanceUtils";
+import { cleanAttributes } from "./attributeUtils";
+import {
+  getEdgeId,
+  parseWeight,
+  applyImportedGraph,
+  isTypingTarget,
+  bidirectionalFields,
+  findEdgeBetween,
+  getNumberedName,
+  mergeReciprocalEdges,
+  serializeGraph
+} from "./graphUtils";
+import useGraphSelection from "./useGraphSelection";
+import useGraphSettings from "./useGraphSettings";
+import useGraphClipboard from "./useGraphClipboard";
+import { useDialogs } from "../Dialogs/dialogContext";
+
+/**
+ * Shared graph editing core used by GraphBuilder and GraphEditor.
+ * Owns the vis.js datasets and network instance, connect mode and the undo/redo
+ * history; the selection, the graph-wide settings and the clipboard are kept by
+ * useGraphSelection, useGraphSettings and useGraphClipboard.
+ * @param {Object} networkContainer - Ref to the DOM element the network is drawn in
+ * @returns {Object} - The graph state and the editing actions
+ */
+const useGraphEditor = (networkContainer) => {
+  const { showToast, confirm, promptWeight } = useDialogs();
+  const [newNodeName, setNewNodeName] = useState("");
+  const [networkNodes] = useState(() => new DataSet([]));
+  const [networkEdges] = useState(() => new DataSet([]));
+  const [history, setHistory] = useState([]);
+  const [future, setFuture] = useState([]);
+  const [isConnectModeActive, setIsConnectModeActive] = useState(false);
+  // Progress of the background layout of a large graph, or null when none is running
+  const [layoutProgress, setLayoutProgress] = useState(null);
+  const layoutJob = useRef(null);
+  const isConnectModeRef = useRef(false);
+  isConnectModeRef.current = isConnectModeActive;
+
+  const networkInstance = useRef(null);
+
+  // The transaction currently collecting dataset changes, if any
+  const transaction = useRef(null);
+
+  // The network is created once, so it calls back into the latest handler through a ref
+  const addEdgeHandler = useRef(null);
+  const dragEndHandler = useRef(null);
+  const doubleClickHandler = useRef(null);
+
+  const {
+    selection,
+    selectionRef,
+    setSelection,
+    selectionBox,
+    selectItems,
+    clearSelection,
+    selectedItem,
+    selectedItemType,
+    selectedAttributes
+  } = useGraphSelection(networkContainer, networkInstance, networkNodes, networkEdges);
+
+  // Initialize the network visualization
+  useEffect(() => {
+    if (!networkContainer.current) return;
+
+    try {
+      const options = {
+        ...networkOptions,
+        manipulation: {
+          ...networkOptions.manipulation,
+          addEdge: (edgeData, callback) => addEdgeHandler.current(edgeData, callback)
+        }
+      };
+
+      networkInstance.current = new Network(
+        networkContainer.current,
+        { nodes: networkNodes, edges: networkEdges },
+        options
+      );
+
+      networkInstance.current.on("click", params => {
+        const network = networkInstance.current;
+
+        // Shift+click adds the clicked item to the selection, or takes it out
+        if (params.event.srcEvent.shiftKey) {
+          const nodeId = network.getNodeAt(params.pointer.DOM);
+          const edgeId = nodeId === undefined ? network.getEdgeAt(params.pointer.DOM) : undefined;
+          const toggle = (ids, id) =>
+            id === undefined ? ids : ids.includes(id) ? ids.filter(other => other !== id) : [...ids, id];
+
+          const previous = selectionRef.current;
+          selectItems(toggle(previous.nodes, nodeId), toggle(previous.edges, edgeId));
+          return;
+        }
+
+        // Plain and Ctrl+click selection is handled by vis.js
+        setSelection(network.getSelection());
+      });
+
+      // Dragging an unselected node selects it
+      networkInstance.current.on("dragStart", params => {
+        if (params.nodes.length > 0) {
+          setSelection(networkInstance.current.getSelection());
+        }
+      });
+
+      networkInstance.current.on("dragEnd", params => dragEndHandler.current(params));
+      networkInstance.current.on("doubleClick", params => doubleClickHandler.current(params));
+
+      return () => {
+        if (networkInstance.current) {
+          networkInstance.current.destroy();
+          networkInstance.current = null;
+        }
+      };
+    } catch (error) {
+      console.error("Error initializing network:", error);
+    }
+  }, [networkContainer, networkNodes, networkEdges, selectItems, selectionRef, setSelection]);
+
+  // Large graphs are drawn in performance mode
+  const isLarge = isLargeGraph(networkNodes.length);
+  useEffect(() => {
+    if (networkInstance.current) {
+      networkInstance.current.setOptions(performanceOptions(isLarge));
+    }
+  }, [isLarge]);
+
+  // Stop a background layout when the editor goes away
+  useEffect(() => {
+    const job = layoutJob;
+    return () => job.current?.cancel();
+  }, []);
+
+  // Collect every dataset mutation made while a transaction is open
+  useEffect(() => {
+    return watchChanges(networkNodes, networkEdges, change => {
+      if (transaction.current) {
+        transaction.current.changes.push(change);
+      }
+    });
+  }, [networkNodes, networkEdges]);
+
+  /**
+   * Run a mutation of the datasets as one undoable step. Nested calls are
+   * folded into the outermost one, so compound operations undo together.
+   * @param {string} label - Description of the step, e.g. "Delete node"
+   * @param {Function} mutate - Performs the dataset changes
+   * @returns {*} - Whatever mutate returns
+   */
+  const recordChanges = useCallback((label, mutate) => {
+    if (transaction.current) return mutate();
+
+    transaction.current = { label, changes: [] };
+    try {
+      return mutate();
+    } finally {
+      const command = transaction.current;
+      transaction.current = null;
+
+      if (command.changes.length > 0) {
+        setHistory(prev => [...prev, command]);
+        setFuture([]);
+      }
+    }
+  }, []);
+
+  const {
+    isDirected,
+    setIsDirected,
+    isPhysicsFrozen,
+    setIsPhysicsFrozen,
+    distanceMetric,
+    setDistanceMetric,
+    recordSettings,
+    applySettings,
+    freezePhysics,
+    linkNodesByDistance,
+    setGraphDirected,
+    setGraphDistanceMetric
+  } = useGraphSettings({ networkNodes, networkEdges, networkInstance, transaction, recordChanges, clearSelection });
+
+  /**
+   * Lay out a large graph in a web worker with a progress bar, rather than with
+   * the vis.js physics, which would stall the page. Nodes that already have a
+   * position keep it, and physics stays frozen afterwards.
+   */
+  const layOutLargeGraph = useCallback(() => {
+    const nodes = networkNodes.get();
+    if (!isLargeGraph(nodes.length)) return;
+
+    const placed = getPlacedPositions(nodes);
+    if (Object.keys(placed).length === nodes.length) return;
+
+    layoutJob.current?.cancel();
+    if (networkInstance.current) {
+      networkInstance.current.setOptions({ physics: { enabled: false } });
+    }
+    setIsPhysicsFrozen(true);
+    setLayoutProgress(0);
+
+    const job = layoutInWorker(nodes.map(node => node.id), networkEdges.get(), placed, setLayoutProgress);
+    layoutJob.current = job;
+    job.promise
+      .then(positions => {
+        if (layoutJob.current !== job) return;
+        layoutJob.current = null;
+        setLayoutProgress(null);
+
+        // Not an undoable step: the nodes just get somewhere to be
+        networkNodes.update(
+          Object.keys(positions)
+            .filter(nodeId => !placed[nodeId] && networkNodes.get(nodeId))
+            .map(nodeId => ({ id: nodeId, ...positions[nodeId] }))
+        );
+        if (networkInstance.current) networkInstance.current.fit();
+      })
+      .catch(error => {
+        console.error("Error laying out graph:", error);
+        layoutJob.current = null;
+        setLayoutProgress(null);
+        showToast("Failed to lay out the graph", "error");
+      });
+  }, [networkNodes, networkEdges, showToast, setIsPhysicsFrozen]);
+
+  /**
+   * Replace the graph contents without recording history (e.g. when loading a saved graph)
+   * @param {Object} graph - { nodes, edges, directed, physicsFrozen, distanceMetric }, as from deserializeGraph
+   */
+  const loadGraph = useCallback(({ nodes, edges, directed = true, physicsFrozen = false, distanceMetric = null }) => {
+    // Switch physics first, so frozen positions aren't disturbed before the effect runs.
+    // Large graphs are too slow for physics.
+    const frozen = physicsFrozen || isLargeGraph(nodes.length);
+    if (networkInstance.current) {
+      networkInstance.current.setOptions({ physics: { enabled: !frozen } });
+    }
+    networkNodes.clear();
+    networkEdges.clear();
+    networkNodes.add(nodes);
+    networkEdges.add(edges);
+    setIsDirected(directed);
+    setIsPhysicsFrozen(frozen);
+    setDistanceMetric(distanceMetric);
+    setHistory([]);
+    setFuture([]);
+    selectItems([], []);
+    layOutLargeGraph();
+  }, [networkNodes, networkEdges, selectItems, layOutLargeGraph, setIsDirected, setIsPhysicsFrozen, setDistanceMetric]);
+
+  /**
+   * Import a parsed graph as a single undoable step
+   * @param {Object} graph - { nodes, edges, metric?, physicsFrozen? }
+   * @param {string} mode - "replace" or "merge"
+   */
+  const importGraph = (graph, mode) => {
+    // Coordinate lists switch the graph to coordinate mode
+    const metric = distanceMetric ?? graph.metric ?? null;
+
+    try {
+      recordChanges(mode === "merge" ? "Merge import" : "Import graph", () => {
+        applyImportedGraph(networkNodes, networkEdges, graph, mode);
+        // Imported formats describe undirected edges as pairs
+        if (!isDirected) mergeReciprocalEdges(networkEdges);
+        // A saved layout stays as it was
+        if (graph.physicsFrozen) freezePhysics();
+
+        if (metric) {
+          if (metric !== distanceMetric) recordSettings({ distanceMetric }, { distanceMetric: metric });
+          freezePhysics();
+          linkNodesByDistance(networkNodes.getIds(), metric);
+        }
+      });
+      setDistanceMetric(metric);
+      clearSelection();
+      layOutLargeGraph();
+
+      // Adjust view to fit all nodes
+      if (networkInstance.current) {
+        networkInstance.current.fit({ animation: true });
+      }
+    } catch (error) {
+      console.error("Error importing graph:", error);
+      showToast(`Error importing graph: ${error.message}`, "error");
+    }
+  };
+
+  /**
+   * Place a node at a point on the canvas and connect it by distance (coordinate mode).
+   * It takes the name typed in, or the next free number.
+   * @param {Object} position - { x, y } on the canvas
+   */
+  const placeNode = (position) => {
+    const name = newNodeName.trim() ||
+      getNumberedName(candidate => Boolean(networkNodes.get(candidate)), networkNodes.length + 1);
+
+    if (networkNodes.get(name)) {
+      showToast("Node with this name already exists!", "error");
+      return;
+    }
+
+    try {
+      recordChanges("Add node", () => {
+        networkNodes.add({ id: name, label: name, x: position.x, y: position.y });
+        linkNodesByDistance([name]);
+      });
+    } catch (error) {
+      console.error("Error adding node:", error);
+    }
+
+    setNewNodeName("");
+  };
+
+  /**
+   * Replace the graph with a generated one as a single undoable step. The
+   * generator decides whether it is directed and whether it is in coordinate mode.
+   * @param {Object} graph - { nodes, edges, directed, metric? }, from generateGraph
+   */
+  const applyGeneratedGraph = (graph) => {
+    const metric = graph.metric ?? null;
+    // Generators that lay out their nodes keep them where they put them
+    const isLaidOut = graph.nodes.every(node => Number.isFinite(node.x) && Number.isFinite(node.y));
+
+    try {
+      recordChanges("Generate graph", () => {
+        recordSettings(
+          { directed: isDirected, distanceMetric },
+          { directed: graph.directed, distanceMetric: metric }
+        );
+        freezePhysics(isLaidOut);
+        applyImportedGraph(networkNodes, networkEdges, graph, "replace");
+      });
+      setIsDirected(graph.directed);
+      setDistanceMetric(metric);
+      clearSelection();
+      layOutLargeGraph();
+
+      if (networkInstance.current) {
+        networkInstance.current.fit({ animation: true });
+      }
+    } catch (error) {
+      console.error("Error generating graph:", error);
+      showToast(`Error generating graph: ${error.message}`, "error");
+    }
+  };
+
+  // Add a new node to the graph
+  const addNode = () => {
+    // In coordinate mode the node goes in the middle of the view
+    if (distanceMetric && networkInstance.current) {
+      placeNode(networkInstance.current.getViewPosition());
+      return;
+    }
+
+    if (newNodeName.trim() === "") {
+      showToast("Node name cannot be empty!", "error");
+      return;
+    }
+
+    if (networkNodes.get(newNodeName)) {
+      showToast("Node with this name already exists!", "error");
+      return;
+    }
+
+    try {
+      recordChanges("Add node", () => {
+        networkNodes.add({ id: newNodeName, label: newNodeName });
+      });
+    } catch (error) {
+      console.error("Error adding node:", error);
+    }
+
+    setNewNodeName("");
+  };
+
+  const handleAddEdge = async (edgeData, callback) => {
+    const { from, to } = edgeData;
+
+    if (from === to) {
+      showToast("Cannot connect a node to itself!", "error");
+      callback(null);
+      return;
+    }
+
+    // Check for duplicate edges, including ones that already go both ways
+    if (findEdgeBetween(networkEdges, from, to, isDirected)) {
+      showToast("This edge already exists!", "error");
+      callback(null);
+      return;
+    }
+
+    // In coordinate mode the weight is the distance between the nodes
+    const positions = distanceMetric ? networkInstance.current.getPositions([from, to]) : null;
+    const weight = positions
+      ? computeDistance(distanceMetric, positions[from], positions[to])
+      : await promptWeight({
+        title: "Edge Weight",
+        message: `Enter the weight of the edge ${from} ${isDirected ? "→" : "—"} ${to}:`,
+        defaultValue: "1"
+      });
+
+    if (weight !== null) {
+      // vis.js adds the edge to the dataset from within the callback
+      recordChanges("Add edge", () => {
+        callback({
+          ...edgeData,
+          label: String(weight),
+          id: getEdgeId(from, to)
+        });
+      });
+    } else {
+      callback(null);
+    }
+
+    // Keep connect mode active, unless it was left or the editor unmounted while the dialog was open
+    if (networkInstance.current && isConnectModeRef.current) {
+      networkInstance.current.addEdgeMode();
+    }
+  };
+  addEdgeHandler.current = handleAddEdge;
+
+  // In coordinate mode, moving nodes moves their weights with them
+  dragEndHandler.current = (params) => {
+    if (!distanceMetric || params.nodes.length === 0) return;
+
+    try {
+      recordChanges(params.nodes.length === 1 ? "Move node" : "Move nodes", () => {
+        linkNodesByDistance(params.nodes, distanceMetric, false);
+      });
+    } catch (error) {
+      console.error("Error updating distances:", error);
+    }
+  };
+
+  // In coordinate mode, double-clicking the canvas places a node there
+  doubleClickHandler.current = (params) => {
+    if (!distanceMetric || params.nodes.length > 0) return;
+    placeNode(params.pointer.canvas);
+  };
+
+  /**
+   * Rename a node. Node ids are their labels, so the node and every edge
+   * touching it are re-created under the new name as a single step.
+   * @param {string} nodeId - The node to rename
+   * @param {string} newName - The new label
+   * @returns {string|null} - An error message, or null on success
+   */
+  const renameNode = (nodeId, newName) => {
+    const name = newName.trim();
+    if (name === "") return "Node name cannot be empty!";
+    if (name === nodeId) return null;
+    if (networkNodes.get(name)) return "Node with this name already exists!";
+
+    try {
+      recordChanges("Rename node", () => {
+        const node = networkNodes.get(nodeId);
+        const connectedEdges = networkEdges.get({
+          filter: (edge) => edge.from === nodeId || edge.to === nodeId
+        });
+
+        // Keep the node where it is on the canvas
+        const position = networkInstance.current?.getPositions([nodeId])[nodeId];
+
+        networkEdges.remove(connectedEdges.map(edge => edge.id));
+        networkNodes.remove(nodeId);
+
+        networkNodes.add({ ...node, ...position, id: name, label: name });
+        networkEdges.add(connectedEdges.map(edge => {
+          const from = edge.from === nodeId ? name : edge.from;
+          const to = edge.to === nodeId ? name : edge.to;
+          return { ...edge, id: getEdgeId(from, to), from, to };
+        }));
+      });
+
+      selectItems([name], []);
+    } catch (error) {
+      console.error("Error renaming node:", error);
+      return "Failed to rename node";
+    }
+    return null;
+  };
+
+  /**
+   * Change the weight of an existing edge
+   * @param {string} edgeId - The edge to update
+   * @param {string} value - The new weight as entered by the user
+   * @returns {string|null} - An error message, or null on success
+   */
+  const updateEdgeWeight = (edgeId, value) => {
+    const weight = parseWeight(value);
+    if (weight === null) return "Weight must be a non-negative number!";
+
+    try {
+      recordChanges("Edit edge weight", () => {
+        networkEdges.update({ id: edgeId, label: String(weight) });
+      });
+
+      selectItems([], [edgeId]);
+    } catch (error) {
+      console.error("Error updating edge weight:", error);
+      return "Failed to update edge weight";
+    }
+    return null;
+  };
+
+  /**
+   * Make an edge of a directed graph go both ways, or one way again. An existing
+   * reverse edge is absorbed, provided it has the same weight.
+   * @param {string} edgeId - The edge to change
+   * @param {boolean} bidirectional - Whether it should go both ways
+   * @returns {string|null} - An error message, or null on success
+   */
+  const setEdgeBidirectional = (edgeId, bidirectional) => {
+    const edge = networkEdges.get(edgeId);
+    if (!edge) return "Edge not found";
+
+    const reverse = bidirectional ? networkEdges.get(getEdgeId(edge.to, edge.from)) : null;
+    if (reverse && reverse.label !== edge.label) {
+      return `${edge.to} → ${edge.from} already exists with a different weight. Delete it or give it the same weight first.`;
+    }
+
+    try {
+      recordChanges(bidirectional ? "Make edge bidirectional" : "Make edge one-way", () => {
+        if (reverse) networkEdges.remove(reverse.id);
+        networkEdges.update({ id: edgeId, ...bidirectionalFields(bidirectional) });
+      });
+
+      selectItems([], [edgeId]);
+    } catch (error) {
+      console.error("Error updating edge direction:", error);
+      return "Failed to update edge";
+    }
+    return null;
+  };
+
+  /**
+   * Replace the attributes of a node or edge
+   * @param {string} itemType - "node" or "edge"
+   * @param {string} itemId - The node or edge to change
+   * @param {Object} attributes - The new attribute values keyed by name
+   * @returns {string|null} - An error message, or null on success
+   */
+  const setItemAttributes = (itemType, itemId, attributes) => {
+    const dataset = itemType === "node" ? networkNodes : networkEdges;
+    const item = dataset.get(itemId);
+    if (!item) return itemType === "node" ? "Node not found" : "Edge not found";
+
+    const cleaned = cleanAttributes(attributes);
+    if (JSON.stringify(cleaned) === JSON.stringify(cleanAttributes(item.attributes))) return null;
+
+    try {
+      recordChanges(itemType === "node" ? "Edit node attributes" : "Edit edge attributes", () => {
+        dataset.update({ id: itemId, attributes: cleaned });
+      });
+    } catch (error) {
+      console.error("Error updating attributes:", error);
+      return "Failed to update attributes";
+    }
+    return null;
+  };
+
+  // The graph in the shape stored in graph.data, including where every node is on the canvas
+  const getGraphData = () =>
+    serializeGraph(networkNodes.get(), networkEdges.get(), isDirected, {
+      positions: networkInstance.current?.getPositions() ?? {},
+      physicsFrozen: isPhysicsFrozen,
+      distanceMetric
+    });
+
+  // Delete the selected nodes, with their edges, and the selected edges as one step
+  const deleteSelected = () => {
+    const { nodes, edges } = selection;
+    if (nodes.length === 0 && edges.length === 0) return;
+
+    const label = nodes.length + edges.length > 1
+      ? "Delete selection"
+      : nodes.length === 1 ? "Delete node" : "Delete edge";
+
+    try {
+      // Nodes and all of their edges go away (and come back) together
+      recordChanges(label, () => {
+        const connectedEdges = networkEdges.getIds({
+          filter: (edge) => nodes.includes(edge.from) || nodes.includes(edge.to)
+        });
+
+        networkEdges.remove([...new Set([...edges, ...connectedEdges])]);
+        networkNodes.remove(nodes);
+      });
+      clearSelection();
+    } catch (error) {
+      console.error("Error deleting selection:", error);
+    }
+  };
+
+  /**
+   * Give every selected edge the same weight
+   * @param {string} value - The weight as entered by the user
+   * @returns {string|null} - An error message, or null on success
+   */
+  const setSelectionWeight = (value) => {
+    const weight = parseWeight(value);
+    if (weight === null) return "Weight must be a non-negative number!";
+    if (selection.edges.length === 0) return "No edges are selected";
+
+    try {
+      recordChanges("Set weight of selected edges", () => {
+        networkEdges.update(selection.edges.map(id => ({ id, label: String(weight) })));
+      });
+    } catch (error) {
+      console.error("Error updating edge weights:", error);
+      return "Failed to update edge weights";
+    }
+    return null;
+  };
+
+  const { duplicateSelection, pasteSubgraph } = useGraphClipboard({
+    networkNodes,
+    networkEdges,
+    networkInstance,
+    selection,
+    selectItems,
+    recordChanges,
+    linkNodesByDistance,
+    isDirected
+  });
+
+  // Connect every pair of selected nodes that isn't connected yet, with one chosen weight
+  const connectSelection = async () => {
+    const { nodes } = selection;
+    if (nodes.length < 2) {
+      showToast("Select at least two nodes to connect!", "error");
+      return;
+    }
+
+    // In coordinate mode the new edges are weighed by distance
+    if (distanceMetric && networkInstance.current) {
+      try {
+        recordChanges("Connect selected nodes", () => {
+          const positions = networkInstance.current.getPositions(nodes);
+          linkByDistance(networkEdges, nodes, positions, distanceMetric, isDirected);
+        });
+      } catch (error) {
+        console.error("Error connecting nodes:", error);
+        showToast("Failed to connect nodes", "error");
+      }
+      return;
+    }
+
+    const weight = await promptWeight({
+      title: "Connect Selected Nodes",
+      message: `Every pair of the ${nodes.length} selected nodes will be connected. Weight of the new edges:`,
+      defaultValue: "1"
+    });
+    if (weight === null) return;
+
+    const newEdges = [];
+    const addEdge = (from, to, fields) =>
+      newEdges.push({ id: getEdgeId(from, to), from, to, label: String(weight), ...fields });
+
+    nodes.forEach((a, i) => {
+      nodes.slice(i + 1).forEach(b => {
+        const forward = findEdgeBetween(networkEdges, a, b, isDirected);
+        const backward = findEdgeBetween(networkEdges, b, a, isDirected);
+
+        // An unconnected pair gets one edge that goes both ways
+        if (!forward && !backward) {
+          addEdge(a, b, isDirected ? bidirectionalFields(true) : {});
+        } else if (!forward) {
+          addEdge(a, b, {});
+        } else if (!backward) {
+          addEdge(b, a, {});
+        }
+      });
+    });
+
+    if (newEdges.length === 0) {
+      showToast("The selected nodes are already fully connected.", "info");
+      return;
+    }
+
+    try {
+      recordChanges("Connect selected nodes", () => {
+        networkEdges.add(newEdges);
+      });
+    } catch (error) {
+      console.error("Error connecting nodes:", error);
+      showToast("Failed to connect nodes", "error");
+    }
+  };
+
+  /**
+   * Select a node and move the view to it
+   * @param {string} nodeId - The node to show
+   */
+  const focusNode = (nodeId) => {
+    selectItems([nodeId], []);
+    if (networkInstance.current) {
+      networkInstance.current.focus(nodeId, { scale: 1, animation: viewAnimation });
+    }
+  };
+
+  const selectAll = () => {
+    selectItems(networkNodes.getIds(), networkEdges.getIds());
+  };
+
+  // Toggle edge creation mode
+  const connectNodes = () => {
+    if (!networkInstance.current) return;
+
+    if (isConnectModeActive) {
+      networkInstance.current.disableEditMode();
+    } else {
+      networkInstance.current.unselectAll();
+      networkInstance.current.addEdgeMode();
+    }
+    setIsConnectModeActive(!isConnectModeActive);
+  };
+
+  const exitConnectMode = () => {
+    if (networkInstance.current) {
+      networkInstance.current.disableEditMode();
+    }
+    setIsConnectModeActive(false);
+  };
+
+  // Undo the last recorded step
+  const undo = () => {
+    if (history.length === 0) return;
+
+    const command = history[history.length - 1];
+    setHistory(prev => prev.slice(0, -1));
+    setFuture(prev => [...prev, command]);
+
+    undoCommand(networkNodes, networkEdges, command, applySettings);
+    clearSelection();
+  };
+
+  // Re-apply the last undone step
+  const redo = () => {
+    if (future.length === 0) return;
+
+    const command = future[future.length - 1];
+    setFuture(prev => prev.slice(0, -1));
+    setHistory(prev => [...prev, command]);
+
+    redoCommand(networkNodes, networkEdges, command, applySettings);
+    clearSelection();
+  };
+
+  const fitGraph = () => {
+    if (networkInstance.current) {
+      networkInstance.current.fit({ animation: viewAnimation });
+    }
+  };
+
+  const clearGraph = async () => {
+    if (networkNodes.length === 0) {
+      showToast("No graph to clear!", "error");
+      return;
+    }
+
+    // Confirm with user before clearing
+    const confirmed = await confirm("Are you sure you want to clear the entire graph?", {
+      title: "Clear Graph",
+      confirmLabel: "Clear",
+      danger: true
+    });
+    if (!confirmed) return;
+
+    try {
+      recordChanges("Clear graph", () => {
+        networkEdges.clear();
+        networkNodes.clear();
+      });
+
+      clearSelection();
+    } catch (error) {
+      console.error("Error clearing graph:", error);
+      showToast("Failed to clear graph", "error");
+    }
+  };
+
+  // Keyboard shortcuts, routed through a ref so the listener is only attached once
+  const keyDownHandler = useRef(null);
+  keyDownHandler.current = (event) => {
+    if (isTypingTarget(event)) return;
+
+    if (event.key === "Delete" || event.key === "Backspace") {
+      deleteSelected();
+    }
+
+    // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes, Ctrl+A selects everything
+    if (event.ctrlKey || event.metaKey) {
+      const key = event.key.toLowerCase();
+      if (key === "a") {
+        event.preventDefault();
+        selectAll();
+      } else if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        redo();
+      }
+    }
+
+    // Allow escaping from connect mode with Escape key
+    if (event.key === "Escape" && isConnectModeActive) {
+      exitConnectMode();
+    }
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (event) => keyDownHandler.current(event);
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  return {
+    networkNodes,
+    networkEdges,
+    networkInstance,
+    newNodeName,
+    setNewNodeName,
+    selection,
+    selectionBox,
+    selectedItem,
+    selectedItemType,
+    selectedAttributes,
+    history,
+    future,
+    isConnectModeActive,
+    isDirected,
+    isPhysicsFrozen,
+    setIsPhysicsFrozen,
+    distanceMetric,
+    setGraphDistanceMetric,
+    layoutProgress,
+    recordChanges,
+    loadGraph,
+    importGraph,
+    applyGeneratedGraph,
+    getGraphData,
+    addNode,
+    renameNode,
+    updateEdgeWeight,
+    setEdgeBidirectional,
+    setItemAttributes,
+    setGraphDirected,
+    connectNodes,
+    deleteSelected,
+    setSelectionWeight,
+    duplicateSelection,
+    pasteSubgraph,
+    connectSelection,
+    selectAll,
+    focusNode,
+    undo,
+    redo,
+    fitGraph,
+    clearGraph
+  };
+};
+
+export default useGraphEditor;
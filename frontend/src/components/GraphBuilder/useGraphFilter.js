@@ -0,0 +1,103 @@
+import { useState, useEffect } from "react";
+
+import { applyFilter } from "./searchUtils";
+
+// Opacity of the nodes and edges a filter leaves out
+const DIMMED_OPACITY = 0.15;
+
+/**
+ * The plain color of an edge, whether it is a color string or a color object
+ * @param {string|Object|null|undefined} color - The edge's color option
+ * @returns {string|null} - The color, or null for the default
+ */
+export const edgeColorOf = (color) =>
+  (color && typeof color === "object" ? color.color ?? null : color ?? null);
+
+/**
+ * The opacity an edge's color option draws it with
+ * @param {string|Object|null|undefined} color - The edge's color option
+ * @returns {number} - Between 0 and 1
+ */
+export const edgeOpacityOf = (color) =>
+  (color && typeof color === "object" ? color.opacity ?? 1 : 1);
+
+/**
+ * An edge color option with the given opacity, keeping the color it had
+ * @param {string|Object|null|undefined} color - The edge's color option, or a plain color
+ * @param {number} opacity - Between 0 and 1
+ * @returns {string|Object|null} - A color string, or null for the default, when fully opaque
+ */
+export const fadeEdgeColor = (color, opacity) => {
+  const base = edgeColorOf(color);
+  if (opacity === 1) return base;
+  return base === null ? { opacity } : { color: base, highlight: base, hover: base, opacity };
+};
+
+/**
+ * Fade what a filter leaves out. The opacities are set on the datasets outside
+ * any undo step, and the graph serializers pick their fields, so the dimming
+ * never reaches the undo history, the clipboard or a saved graph. Only items
+ * whose opacity changes are touched, so this settles after one round.
+ * @param {DataSet} networkNodes - The vis.js nodes dataset
+ * @param {DataSet} networkEdges - The vis.js edges dataset
+ * @param {Object|null} kept - { nodeIds, edgeIds } to leave alone; null to undim everything
+ */
+const dimDatasets = (networkNodes, networkEdges, kept) => {
+  const opacityFor = (ids, id) => (kept && !ids.has(id) ? DIMMED_OPACITY : 1);
+
+  // An undo can leave a node's opacity null, which vis.js draws with a broken color
+  const nodes = networkNodes.get()
+    .map(node => ({ node, opacity: opacityFor(kept?.nodeIds, node.id) }))
+    .filter(({ node, opacity }) => (node.opacity === undefined ? 1 : node.opacity) !== opacity)
+    .map(({ node, opacity }) => ({ id: node.id, opacity }));
+  if (nodes.length > 0) networkNodes.update(nodes);
+
+  const edges = networkEdges.get()
+    .map(edge => ({ edge, opacity: opacityFor(kept?.edgeIds, edge.id) }))
+    .filter(({ edge, opacity }) => edgeOpacityOf(edge.color) !== opacity)
+    .map(({ edge, opacity }) => ({ id: edge.id, color: fadeEdgeColor(edge.color, opacity) }));
+  if (edges.length > 0) networkEdges.update(edges);
+};
+
+/**
+ * Filters that dim everything on the canvas except what they match, e.g. the
+ * heavy edges or the neighbours of a node. The filter is re-applied whenever
+ * the datasets change, so new and restyled items are dimmed too.
+ * @param {DataSet|null} networkNodes - The vis.js nodes dataset, null until there is one
+ * @param {DataSet|null} networkEdges - The vis.js edges dataset, null until there is one
+ * @returns {Object} - { filter, setFilter, matches }; matches is { nodes, edges }, the
+ *   number of each the filter keeps, or null while no filter applies
+ */
+const useGraphFilter = (networkNodes, networkEdges) => {
+  const [filter, setFilter] = useState(null);
+  const [matches, setMatches] = useState(null);
+
+  // A bulk edit fires several dataset events, so filter at most once per frame
+  useEffect(() => {
+    if (!networkNodes || !networkEdges) return;
+    let frame = null;
+
+    const update = () => {
+      frame = null;
+      const kept = applyFilter(filter, networkNodes.get(), networkEdges.get());
+      setMatches(kept && { nodes: kept.nodeIds.size, edges: kept.edgeIds.size });
+      dimDatasets(networkNodes, networkEdges, kept);
+    };
+    const scheduleUpdate = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    networkNodes.on("*", scheduleUpdate);
+    networkEdges.on("*", scheduleUpdate);
+    return () => {
+      networkNodes.off("*", scheduleUpdate);
+      networkEdges.off("*", scheduleUpdate);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [networkNodes, networkEdges, filter]);
+
+  return { filter, setFilter, matches };
+};
+
+export default useGraphFilter;
@@ -0,0 +1,132 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+
+const EMPTY_SELECTION = { nodes: [], edges: [] };
+
+/**
+ * The nodes and edges selected in the editor, kept in step with the canvas,
+ * and Shift+drag box selection
+ * @param {Object} networkContainer - Ref to the DOM element the network is drawn in
+ * @param {Object} networkInstance - Ref to the vis.js network
+ * @param {DataSet} networkNodes - The nodes dataset
+ * @param {DataSet} networkEdges - The edges dataset
+ * @returns {Object} - { selection, selectionRef, setSelection, selectionBox, selectItems, clearSelection,
+ *   selectedItem, selectedItemType, selectedAttributes }
+ */
+const useGraphSelection = (networkContainer, networkInstance, networkNodes, networkEdges) => {
+  // Ids of the selected nodes and edges
+  const [selection, setSelection] = useState(EMPTY_SELECTION);
+  const selectionRef = useRef(selection);
+  selectionRef.current = selection;
+  // The rectangle being dragged out with Shift, in container coordinates
+  const [selectionBox, setSelectionBox] = useState(null);
+
+  /**
+   * Select the given items, on the canvas as well as in the editor state
+   * @param {Array<string>} nodes - Node ids
+   * @param {Array<string>} edges - Edge ids
+   */
+  const selectItems = useCallback((nodes = [], edges = []) => {
+    setSelection({ nodes, edges });
+    if (networkInstance.current) {
+      networkInstance.current.setSelection({ nodes, edges }, { unselectAll: true, highlightEdges: false });
+    }
+  }, [networkInstance]);
+
+  const clearSelection = useCallback(() => {
+    selectItems([], []);
+  }, [selectItems]);
+
+  // A single selected item gets the detailed inspector
+  const isSingleNode = selection.nodes.length === 1 && selection.edges.length === 0;
+  const isSingleEdge = selection.edges.length === 1 && selection.nodes.length === 0;
+  const selectedItemType = isSingleNode ? "node" : isSingleEdge ? "edge" : null;
+  const selectedItem = isSingleNode
+    ? selection.nodes[0]
+    : isSingleEdge
+      ? networkEdges.get(selection.edges[0])
+      : null;
+  // Attributes of the single selected node or edge, for the attribute editor
+  const selectedAttributes = isSingleNode
+    ? networkNodes.get(selection.nodes[0])?.attributes ?? null
+    : selectedItem?.attributes ?? null;
+
+  // Shift+drag on empty canvas draws a selection rectangle
+  useEffect(() => {
+    const container = networkContainer.current;
+    if (!container) return;
+
+    let start = null;
+
+    const pointFor = (event) => {
+      const rect = container.getBoundingClientRect();
+      return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    };
+
+    const boxFrom = (point) => ({
+      left: Math.min(start.x, point.x),
+      top: Math.min(start.y, point.y),
+      width: Math.abs(point.x - start.x),
+      height: Math.abs(point.y - start.y)
+    });
+
+    const handleMouseDown = (event) => {
+      const network = networkInstance.current;
+      if (!network || !event.shiftKey || event.button !== 0) return;
+
+      const point = pointFor(event);
+      if (network.getNodeAt(point) !== undefined) return;
+
+      start = point;
+      // Keep vis.js from panning while the box is drawn
+      network.setOptions({ interaction: { dragView: false } });
+    };
+
+    const handleMouseMove = (event) => {
+      if (start) setSelectionBox(boxFrom(pointFor(event)));
+    };
+
+    const handleMouseUp = (event) => {
+      if (!start) return;
+
+      const box = boxFrom(pointFor(event));
+      const network = networkInstance.current;
+      start = null;
+      setSelectionBox(null);
+      if (!network) return;
+      network.setOptions({ interaction: { dragView: true } });
+
+      // A box this small was a Shift+click, which the click handler deals with
+      if (box.width < 4 && box.height < 4) return;
+
+      const positions = network.getPositions();
+      const nodes = Object.keys(positions).filter(nodeId => {
+        const { x, y } = network.canvasToDOM(positions[nodeId]);
+        return x >= box.left && x <= box.left + box.width && y >= box.top && y <= box.top + box.height;
+      });
+      selectItems(nodes, []);
+    };
+
+    container.addEventListener("mousedown", handleMouseDown, true);
+    document.addEventListener("mousemove", handleMouseMove);
+    document.addEventListener("mouseup", handleMouseUp);
+    return () => {
+      container.removeEventListener("mousedown", handleMouseDown, true);
+      document.removeEventListener("mousemove", handleMouseMove);
+      document.removeEventListener("mouseup", handleMouseUp);
+    };
+  }, [networkContainer, networkInstance, selectItems]);
+
+  return {
+    selection,
+    selectionRef,
+    setSelection,
+    selectionBox,
+    selectItems,
+    clearSelection,
+    selectedItem,
+    selectedItemType,
+    selectedAttributes
+  };
+};
+
+export default useGraphSelection;
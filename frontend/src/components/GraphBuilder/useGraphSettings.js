@@ -0,0 +1,177 @@
+import { useState, useEffect, useRef } from "react";
+
+import { directionOptions } from "./networkConfig";
+import { DISTANCE_METRICS, linkByDistance } from "./distanceUtils";
+import { bidirectionalFields, findReciprocalPairs, mergeReciprocalEdges } from "./graphUtils";
+import { useDialogs } from "../Dialogs/dialogContext";
+
+/**
+ * The graph-wide settings: whether the graph is directed, whether physics is frozen
+ * and the distance metric of coordinate mode. Changes to them are undoable, recorded
+ * in the editor's open transaction alongside the dataset changes they cause.
+ * @param {Object} editor - { networkNodes, networkEdges, networkInstance, transaction, recordChanges, clearSelection }
+ *   from useGraphEditor
+ * @returns {Object} - The settings, their setters and the actions that change them
+ */
+const useGraphSettings = ({ networkNodes, networkEdges, networkInstance, transaction, recordChanges, clearSelection }) => {
+  const { showToast, confirm } = useDialogs();
+  const [isDirected, setIsDirected] = useState(true);
+  const [isPhysicsFrozen, setIsPhysicsFrozen] = useState(false);
+  // Follows freezePhysics straight away, so a step that freezes twice records it once
+  const physicsFrozen = useRef(isPhysicsFrozen);
+  physicsFrozen.current = isPhysicsFrozen;
+  // In coordinate mode, the key of DISTANCE_METRICS that edge weights are computed with
+  const [distanceMetric, setDistanceMetric] = useState(null);
+
+  useEffect(() => {
+    if (networkInstance.current) {
+      networkInstance.current.setOptions(directionOptions(isDirected));
+    }
+  }, [networkInstance, isDirected]);
+
+  // With physics frozen, nodes stay wherever they are dragged
+  useEffect(() => {
+    if (networkInstance.current) {
+      networkInstance.current.setOptions({ physics: { enabled: !isPhysicsFrozen } });
+    }
+  }, [networkInstance, isPhysicsFrozen]);
+
+  /**
+   * Record a change to graph-wide settings in the open transaction
+   * @param {Object} before - The settings before, e.g. { directed: true }
+   * @param {Object} after - The same settings after
+   */
+  const recordSettings = (before, after) => {
+    transaction.current.changes.push({ dataset: "graph", type: "update", before, after });
+  };
+
+  // Put back settings changed by an undone or redone step
+  const applySettings = (settings) => {
+    if ("directed" in settings) setIsDirected(settings.directed);
+    if ("distanceMetric" in settings) setDistanceMetric(settings.distanceMetric);
+    if ("physicsFrozen" in settings) freezePhysics(settings.physicsFrozen);
+  };
+
+  // Switch physics on the network straight away, so positions set in the same step stay put.
+  // Inside recordChanges the switch is part of the step, so undoing it switches back.
+  const freezePhysics = (frozen = true) => {
+    if (transaction.current && frozen !== physicsFrozen.current) {
+      recordSettings({ physicsFrozen: physicsFrozen.current }, { physicsFrozen: frozen });
+    }
+    if (networkInstance.current) {
+      networkInstance.current.setOptions({ physics: { enabled: !frozen } });
+    }
+    physicsFrozen.current = frozen;
+    setIsPhysicsFrozen(frozen);
+  };
+
+  /**
+   * In coordinate mode, pin the given nodes where they are on the canvas and
+   * weigh their edges by distance. Call inside recordChanges.
+   * @param {Array<string>} nodeIds - The nodes that were placed or moved
+   * @param {string} metric - The metric to use, if not the current one
+   * @param {boolean} addMissing - Whether to connect them to every node they aren't connected to
+   */
+  const linkNodesByDistance = (nodeIds, metric = distanceMetric, addMissing = true) => {
+    const network = networkInstance.current;
+    if (!network || !metric || nodeIds.length === 0) return;
+
+    const positions = network.getPositions();
+    networkNodes.update(nodeIds.map(id => ({ id, x: positions[id].x, y: positions[id].y })));
+    linkByDistance(networkEdges, nodeIds, positions, metric, isDirected, addMissing);
+  };
+
+  /**
+   * Switch the whole graph between directed and undirected. Edges keep the ways
+   * they can be travelled: going directed marks every edge bidirectional, going
+   * undirected collapses opposite edges into one, keeping the lower weight.
+   * @param {boolean} directed - Whether the graph should be directed
+   */
+  const setGraphDirected = async (directed) => {
+    if (directed === isDirected) return;
+
+    if (!directed) {
+      const conflicts = findReciprocalPairs(networkEdges.get())
+        .filter(({ edge, reverse }) => edge.label !== reverse.label);
+      if (conflicts.length > 0) {
+        const confirmed = await confirm(
+          `${conflicts.length} pair${conflicts.length === 1 ? " of opposite edges has" : "s of opposite edges have"} different weights. ` +
+          "Each pair will become a single edge with the lower weight.",
+          { title: "Make Graph Undirected", confirmLabel: "Merge Edges" }
+        );
+        if (!confirmed) return;
+      }
+    }
+
+    try {
+      recordChanges(directed ? "Make graph directed" : "Make graph undirected", () => {
+        recordSettings({ directed: isDirected }, { directed });
+
+        if (directed) {
+          networkEdges.update(networkEdges.getIds().map(id => ({ id, ...bidirectionalFields(true) })));
+        } else {
+          mergeReciprocalEdges(networkEdges);
+          networkEdges.update(
+            networkEdges.getIds({ filter: edge => edge.bidirectional })
+              .map(id => ({ id, ...bidirectionalFields(false) }))
+          );
+        }
+      });
+
+      setIsDirected(directed);
+      clearSelection();
+    } catch (error) {
+      console.error("Error changing graph direction:", error);
+      showToast("Failed to change graph direction", "error");
+    }
+  };
+
+  /**
+   * Switch coordinate mode on, with the metric to compute weights with, or off.
+   * Switching it on connects every pair of nodes and replaces every weight.
+   * @param {string|null} metric - A key of DISTANCE_METRICS, or null to enter weights by hand
+   */
+  const setGraphDistanceMetric = async (metric) => {
+    if (metric === distanceMetric) return;
+
+    if (metric && networkEdges.length > 0) {
+      const confirmed = await confirm(
+        `Every pair of nodes will be connected, and every edge weight replaced by the ${DISTANCE_METRICS[metric].label.toLowerCase()} between its nodes.`,
+        { title: "Compute Weights From Positions", confirmLabel: "Compute Weights" }
+      );
+      if (!confirmed) return;
+    }
+
+    try {
+      recordChanges(metric ? `Use ${DISTANCE_METRICS[metric].label.toLowerCase()}` : "Enter weights by hand", () => {
+        recordSettings({ distanceMetric }, { distanceMetric: metric });
+        if (metric) {
+          freezePhysics();
+          linkNodesByDistance(networkNodes.getIds(), metric);
+        }
+      });
+
+      setDistanceMetric(metric);
+    } catch (error) {
+      console.error("Error changing distance metric:", error);
+      showToast("Failed to compute weights", "error");
+    }
+  };
+
+  return {
+    isDirected,
+    setIsDirected,
+    isPhysicsFrozen,
+    setIsPhysicsFrozen,
+    distanceMetric,
+    setDistanceMetric,
+    recordSettings,
+    applySettings,
+    freezePhysics,
+    linkNodesByDistance,
+    setGraphDirected,
+    setGraphDistanceMetric
+  };
+};
+
+export default useGraphSettings;
@@ -0,0 +1,83 @@
+import { useState, useEffect, useRef } from "react";
+
+import { validateGraph, getProblemNodes } from "./validationUtils";
+
+// Gap between a problem node and the ring drawn around it, in canvas units
+const RING_GAP = 8;
+
+/**
+ * Live validation of the graph being edited, for the validation panel.
+ * Re-checks the graph whenever the datasets change and rings the problem
+ * nodes on the canvas.
+ * @param {DataSet} networkNodes - The vis.js nodes dataset
+ * @param {DataSet} networkEdges - The vis.js edges dataset
+ * @param {Object} networkInstance - Ref to the vis.js network
+ * @param {boolean} isDirected - Whether the graph is directed
+ * @returns {Object} - { report, showProblems, setShowProblems }
+ */
+const useGraphValidation = (networkNodes, networkEdges, networkInstance, isDirected) => {
+  const [report, setReport] = useState(() => validateGraph([], [], isDirected));
+  const [showProblems, setShowProblems] = useState(true);
+
+  // A bulk edit fires several dataset events, so check at most once per frame
+  useEffect(() => {
+    let frame = null;
+
+    const update = () => {
+      frame = null;
+      setReport(validateGraph(networkNodes.getIds(), networkEdges.get(), isDirected));
+    };
+    const scheduleUpdate = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    networkNodes.on("*", scheduleUpdate);
+    networkEdges.on("*", scheduleUpdate);
+    return () => {
+      networkNodes.off("*", scheduleUpdate);
+      networkEdges.off("*", scheduleUpdate);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [networkNodes, networkEdges, isDirected]);
+
+  // The nodes to ring, read by the drawing callback
+  const problemNodes = useRef([]);
+
+  useEffect(() => {
+    const network = networkInstance.current;
+    if (!network) return;
+
+    const drawRings = (ctx) => {
+      if (problemNodes.current.length === 0) return;
+
+      ctx.save();
+      ctx.strokeStyle = "#dc2626";
+      ctx.lineWidth = 4;
+      ctx.setLineDash([8, 6]);
+      const positions = network.getPositions(problemNodes.current);
+      Object.keys(positions).forEach(nodeId => {
+        const box = network.getBoundingBox(nodeId);
+        const radius = Math.max(box.right - box.left, box.bottom - box.top) / 2 + RING_GAP;
+        ctx.beginPath();
+        ctx.arc(positions[nodeId].x, positions[nodeId].y, radius, 0, 2 * Math.PI);
+        ctx.stroke();
+      });
+      ctx.restore();
+    };
+
+    network.on("afterDrawing", drawRings);
+    return () => network.off("afterDrawing", drawRings);
+  }, [networkInstance]);
+
+  useEffect(() => {
+    problemNodes.current = showProblems ? [...getProblemNodes(report)] : [];
+    if (networkInstance.current) {
+      networkInstance.current.redraw();
+    }
+  }, [networkInstance, report, showProblems]);
+
+  return { report, showProblems, setShowProblems };
+};
+
+export default useGraphValidation;
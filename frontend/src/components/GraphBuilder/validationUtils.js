@@ -0,0 +1,143 @@
+// The backend's TSP route needs this many nodes with edges
+export const MIN_TSP_NODES = 3;
+
+/**
+ * Build the adjacency the TSP solver sees: edges of undirected graphs, and
+ * edges marked bidirectional, go both ways
+ * @param {Array<string>} nodeIds - Every node id
+ * @param {Array} edges - The vis.js edges
+ * @param {boolean} directed - Whether the graph is directed
+ * @returns {Object} - { outgoing, incoming }, Maps from node id to a Set of neighbour ids
+ */
+const buildAdjacency = (nodeIds, edges, directed) => {
+  const outgoing = new Map(nodeIds.map(nodeId => [nodeId, new Set()]));
+  const incoming = new Map(nodeIds.map(nodeId => [nodeId, new Set()]));
+
+  const link = (from, to) => {
+    if (!outgoing.has(from) || !outgoing.has(to)) return;
+    outgoing.get(from).add(to);
+    incoming.get(to).add(from);
+  };
+
+  edges.forEach(edge => {
+    link(edge.from, edge.to);
+    if (!directed || edge.bidirectional) link(edge.to, edge.from);
+  });
+
+  return { outgoing, incoming };
+};
+
+/**
+ * Tarjan's algorithm, iterative so that long paths don't overflow the stack
+ * @param {Array<string>} nodeIds - The nodes to split into components
+ * @param {Map} outgoing - Node id to the Set of nodes it has edges to
+ * @returns {Array<Array<string>>} - The strongly connected components
+ */
+const findStronglyConnectedComponents = (nodeIds, outgoing) => {
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let nextIndex = 0;
+
+  nodeIds.forEach(root => {
+    if (index.has(root)) return;
+
+    // Each frame is a node and an iterator over the neighbours still to visit
+    const frames = [];
+    const visit = (nodeId) => {
+      index.set(nodeId, nextIndex);
+      lowLink.set(nodeId, nextIndex);
+      nextIndex++;
+      stack.push(nodeId);
+      onStack.add(nodeId);
+      frames.push({ nodeId, neighbours: outgoing.get(nodeId).values() });
+    };
+    visit(root);
+
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+      const next = frame.neighbours.next();
+
+      if (!next.done) {
+        const neighbour = next.value;
+        if (!index.has(neighbour)) {
+          visit(neighbour);
+        } else if (onStack.has(neighbour)) {
+          lowLink.set(frame.nodeId, Math.min(lowLink.get(frame.nodeId), index.get(neighbour)));
+        }
+        continue;
+      }
+
+      frames.pop();
+      if (frames.length > 0) {
+        const parent = frames[frames.length - 1].nodeId;
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.nodeId)));
+      }
+
+      if (lowLink.get(frame.nodeId) === index.get(frame.nodeId)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.nodeId);
+        components.push(component);
+      }
+    }
+  });
+
+  return components;
+};
+
+/**
+ * Check a graph for the problems that stop the TSP solver from running on it,
+ * or that make its tour skip nodes
+ * @param {Array<string>} nodeIds - Every node id
+ * @param {Array} edges - The vis.js edges
+ * @param {boolean} directed - Whether the graph is directed
+ * @returns {Object} - { nodeCount, edgeCount, components, isolated, sinks, sources, isStronglyConnected, canSolve }.
+ *   components are the strongly connected components of the nodes that have edges, largest first.
+ *   Isolated nodes have no edges; sinks have edges in but none out, sources the other way round.
+ */
+export const validateGraph = (nodeIds, edges, directed) => {
+  const { outgoing, incoming } = buildAdjacency(nodeIds, edges, directed);
+
+  const isolated = nodeIds.filter(nodeId => outgoing.get(nodeId).size === 0 && incoming.get(nodeId).size === 0);
+  const sinks = nodeIds.filter(nodeId => outgoing.get(nodeId).size === 0 && incoming.get(nodeId).size > 0);
+  const sources = nodeIds.filter(nodeId => incoming.get(nodeId).size === 0 && outgoing.get(nodeId).size > 0);
+
+  // Like the backend, which builds its graph from the edges, leave isolated nodes out
+  const isolatedSet = new Set(isolated);
+  const connectedIds = nodeIds.filter(nodeId => !isolatedSet.has(nodeId));
+  const components = findStronglyConnectedComponents(connectedIds, outgoing)
+    .sort((a, b) => b.length - a.length);
+
+  const isStronglyConnected = components.length === 1;
+
+  return {
+    nodeCount: nodeIds.length,
+    edgeCount: edges.length,
+    components,
+    isolated,
+    sinks,
+    sources,
+    isStronglyConnected,
+    canSolve: isStronglyConnected && connectedIds.length >= MIN_TSP_NODES
+  };
+};
+
+/**
+ * The nodes to point out on the canvas: isolated nodes, sinks, sources, and
+ * every node outside the largest strongly connected component
+ * @param {Object} report - From validateGraph
+ * @returns {Set<string>} - Node ids
+ */
+export const getProblemNodes = (report) => new Set([
+  ...report.isolated,
+  ...report.sinks,
+  ...report.sources,
+  ...report.components.slice(1).flat()
+]);
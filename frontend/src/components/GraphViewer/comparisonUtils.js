@@ -0,0 +1,43 @@
+// Colors of the compared runs' tours, in the order the runs were picked
+export const RUN_COLORS = ["#2563eb", "#16a34a", "#9333ea", "#ea580c", "#0891b2", "#db2777"];
+
+// Edges every compared run travels, and edges some but not all of several runs travel
+export const SHARED_EDGE_COLOR = "#111827";
+export const PARTLY_SHARED_EDGE_COLOR = "#ca8a04";
+
+/**
+ * Color of one of the compared runs
+ * @param {number} index - The run's position among the compared runs
+ * @returns {string}
+ */
+export const runColor = (index) => RUN_COLORS[index % RUN_COLORS.length];
+
+/**
+ * The figures the comparison table shows for each run
+ * @param {Array} runs - The TSP runs being compared
+ * @returns {Array} - [{ run, legs, gap, isBest }] in the same order; gap is the
+ *   percentage by which the run's cost exceeds the cheapest run's
+ */
+export const summarizeRuns = (runs) => {
+  const best = Math.min(...runs.map(run => run.cost));
+  return runs.map(run => ({
+    run,
+    legs: run.path.length - 1,
+    gap: best > 0 ? ((run.cost - best) / best) * 100 : run.cost === best ? 0 : Infinity,
+    isBest: run.cost === best,
+  }));
+};
+
+/**
+ * Style for an edge from the compared runs that travel it: an edge only one run
+ * uses takes that run's color, so the places the tours diverge stand out
+ * @param {Array<number>} runIndexes - Positions of the runs whose tours use the edge
+ * @param {number} runCount - How many runs are compared
+ * @returns {Object|null} - { color, width, dashes }, or null if no run uses the edge
+ */
+export const comparisonEdgeStyle = (runIndexes, runCount) => {
+  if (runIndexes.length === 0) return null;
+  if (runIndexes.length === runCount) return { color: SHARED_EDGE_COLOR, width: 3, dashes: false };
+  if (runIndexes.length === 1) return { color: runColor(runIndexes[0]), width: 5, dashes: false };
+  return { color: PARTLY_SHARED_EDGE_COLOR, width: 4, dashes: [10, 6] };
+};
@@ -0,0 +1,64 @@
+import { runColor, summarizeRuns, SHARED_EDGE_COLOR, PARTLY_SHARED_EDGE_COLOR } from "../comparisonUtils";
+
+const Swatch = ({ color, dashed = false }) => (
+  <span
+    className="inline-block w-6 flex-shrink-0 border-t-4"
+    style={{ borderColor: color, borderTopStyle: dashed ? "dashed" : "solid" }}
+  />
+);
+
+// Table of the compared runs, with the key to the colors their tours are drawn in
+const RunComparison = ({ runs, onClear }) => {
+  const rows = summarizeRuns(runs);
+
+  return (
+    <div className="border p-4 rounded-lg bg-white shadow-md text-sm flex flex-col gap-2">
+      <div className="flex justify-between items-baseline">
+        <span className="font-semibold text-base">Comparing {runs.length} Runs</span>
+        <button onClick={onClear} className="text-blue-600 hover:underline">
+          Clear
+        </button>
+      </div>
+      <table className="w-full text-left">
+        <thead>
+          <tr className="border-b">
+            <th className="py-1">Run</th>
+            <th className="py-1 text-right">Cost</th>
+            <th className="py-1 text-right">Time</th>
+            <th className="py-1 text-right">Steps</th>
+            <th className="py-1 text-right">Gap</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ run, legs, gap, isBest }, index) => (
+            <tr key={run.id} className={`border-b last:border-0 ${isBest ? "font-semibold" : ""}`}>
+              <td className="py-1">
+                <span className="flex items-center gap-2">
+                  <Swatch color={runColor(index)} />
+                  {run.algorithm}
+                </span>
+              </td>
+              <td className="py-1 text-right">{run.cost.toFixed(2)}</td>
+              <td className="py-1 text-right">{run.time_to_calculate.toFixed(2)}s</td>
+              <td className="py-1 text-right">{legs}</td>
+              <td className="py-1 text-right">{isBest ? "best" : Number.isFinite(gap) ? `+${gap.toFixed(1)}%` : "—"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <ul className="flex flex-col gap-1 text-gray-700">
+        <li className="flex items-center gap-2">
+          <Swatch color={SHARED_EDGE_COLOR} /> Travelled by every run
+        </li>
+        {runs.length > 2 && (
+          <li className="flex items-center gap-2">
+            <Swatch color={PARTLY_SHARED_EDGE_COLOR} dashed /> Travelled by some of the runs
+          </li>
+        )}
+        <li className="text-gray-500">Edges in a run&apos;s color are travelled by that run alone.</li>
+      </ul>
+    </div>
+  );
+};
+
+export default RunComparison;
@@ -0,0 +1,68 @@
+import { useId } from "react";
+
+import { TSP_PARAMETERS } from "../tspAlgorithms";
+
+// Inputs for the selected algorithm's parameters, as the backend describes them;
+// each shows its default until changed
+const SolverParameters = ({ schema, values, onChange, nodeIds }) => {
+  const nodeListId = useId();
+
+  const setValue = (name, value) => onChange({ ...values, [name]: value });
+
+  return (
+    <fieldset className="border rounded p-2 text-sm flex flex-col gap-2">
+      <legend className="px-1 font-medium">Parameters</legend>
+      <div className="grid grid-cols-2 gap-2">
+        {Object.entries(schema).map(([name, { type, default: fallback, min, above, below, options }]) => {
+          const { label, options: optionLabels } = TSP_PARAMETERS[name] ?? { label: name };
+          const placeholder = fallback ?? (name === "seed" ? "Random" : "Any");
+
+          return (
+            <label key={name} className="flex flex-col gap-1">
+              <span className="text-gray-700">{label}</span>
+              {type === "choice" ? (
+                <select
+                  className="border px-2 py-1 rounded"
+                  value={values[name] ?? fallback}
+                  onChange={(e) => setValue(name, e.target.value)}
+                >
+                  {options.map((value) => (
+                    <option key={value} value={value}>{optionLabels?.[value] ?? value}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type={type === "node" ? "text" : "number"}
+                  list={type === "node" ? nodeListId : undefined}
+                  min={min ?? above}
+                  max={below}
+                  step={type === "integer" ? 1 : "any"}
+                  placeholder={String(placeholder)}
+                  className="border px-2 py-1 rounded w-full"
+                  value={values[name] ?? ""}
+                  onChange={(e) => setValue(name, e.target.value)}
+                />
+              )}
+            </label>
+          );
+        })}
+      </div>
+      {Object.values(schema).some(({ type }) => type === "node") && (
+        <datalist id={nodeListId}>
+          {nodeIds.map((nodeId) => (
+            <option key={nodeId} value={nodeId} />
+          ))}
+        </datalist>
+      )}
+      <button
+        onClick={() => onChange({})}
+        disabled={Object.keys(values).length === 0}
+        className="self-start px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 transition disabled:opacity-50"
+      >
+        Reset to defaults
+      </button>
+    </fieldset>
+  );
+};
+
+export default SolverParameters;
@@ -0,0 +1,73 @@
+const formatCost = (cost) => (cost === null ? "?" : Number(cost.toFixed(2)).toString());
+
+const ControlButton = ({ children, ...props }) => (
+  <button
+    className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 transition disabled:opacity-50"
+    {...props}
+  >
+    {children}
+  </button>
+);
+
+// Playback controls for the selected TSP run, with the leg being travelled and the cost so far
+const TourPlayback = ({ legs, totalCost, playback }) => {
+  const { step, playing, speed, setSpeed, play, pause, seek, stepForward, stepBack } = playback;
+  const leg = step > 0 ? legs[step - 1] : null;
+  const hasMissingEdges = legs.some(({ weight }) => weight === null);
+
+  return (
+    <div className="border p-4 rounded-lg bg-white shadow-md text-sm flex flex-col gap-2">
+      <span className="font-semibold text-base">Tour Playback</span>
+      <div className="flex gap-2">
+        <ControlButton onClick={stepBack} disabled={step === 0} title="Previous step">
+          ◀ Back
+        </ControlButton>
+        <button
+          onClick={playing ? pause : play}
+          className="px-4 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 transition"
+        >
+          {playing ? "Pause" : "Play"}
+        </button>
+        <ControlButton onClick={stepForward} disabled={step === legs.length} title="Next step">
+          Next ▶
+        </ControlButton>
+      </div>
+      <input
+        type="range"
+        aria-label="Step"
+        min="0"
+        max={legs.length}
+        value={step}
+        onChange={(e) => {
+          pause();
+          seek(Number(e.target.value));
+        }}
+      />
+      <label className="flex items-center gap-2">
+        Speed
+        <input
+          type="range"
+          min="0.5"
+          max="10"
+          step="0.5"
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+          className="flex-grow"
+        />
+        <span className="w-16 text-right">{speed} steps/s</span>
+      </label>
+      <p>
+        <strong>Step {step} of {legs.length}</strong>
+        {leg ? `: ${leg.from} → ${leg.to} (${formatCost(leg.weight)})` : ": at the start"}
+      </p>
+      <p>
+        <strong>Cost so far:</strong> {formatCost(leg ? leg.cost : 0)} of {formatCost(totalCost)}
+      </p>
+      {hasMissingEdges && (
+        <p className="text-gray-500">Legs marked ? have no matching edge in the graph, so the cost so far leaves them out.</p>
+      )}
+    </div>
+  );
+};
+
+export default TourPlayback;
@@ -0,0 +1,37 @@
+import { TSP_ALGORITHMS } from "../tspAlgorithms";
+
+// Seconds as m:ss
+const formatElapsed = (seconds) => {
+  const whole = Math.floor(seconds ?? 0);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+};
+
+const jobStatus = ({ status, position, elapsed }) => {
+  if (status === "running") return `Running for ${formatElapsed(elapsed)}`;
+  return position > 0 ? `Queued behind ${position} job${position === 1 ? "" : "s"}` : "Queued";
+};
+
+// The graph's unfinished TSP jobs, each of which can be cancelled
+const TspJobs = ({ jobs, onCancel }) => (
+  <div className="border p-4 rounded-lg bg-white shadow-md text-sm flex flex-col gap-2">
+    <span className="font-semibold text-base">TSP Jobs</span>
+    <ul className="flex flex-col gap-2">
+      {jobs.map((job) => (
+        <li key={job.id} className="flex justify-between items-center gap-2">
+          <span>
+            <strong>{TSP_ALGORITHMS[job.algorithm]?.label ?? job.algorithm}</strong>
+            <span className="block text-gray-600">{jobStatus(job)}</span>
+          </span>
+          <button
+            onClick={() => onCancel(job.id)}
+            className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 transition"
+          >
+            Cancel
+          </button>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+export default TspJobs;
@@ -1,84 +1,103 @@
-import { useParams } from "react-router-dom";
-import { useEffect, useRef, useState } from "react";
+import { useParams, Link } from "react-router-dom";
+import { useEffect, useMemo, useRef, useState } from "react";
 import { Network } from "vis-network";
+import { DataSet } from "vis-data";
+
+import { useDialogs } from "../Dialogs/dialogContext";
+import { fetchGraph, fetchTspRuns, deleteTspRun, fetchTspParameters } from "../../api/graphs";
+import ExportMenu from "../GraphBuilder/components/ExportMenu";
+import { deserializeGraph, findEdgeBetween } from "../GraphBuilder/graphUtils";
+import { networkOptions, directionOptions, isLargeGraph, performanceOptions, viewAnimation } from "../GraphBuilder/networkConfig";
+import { layoutInWorker, getPlacedPositions } from "../GraphBuilder/layoutUtils";
+import useGraphFilter, { edgeColorOf, edgeOpacityOf, fadeEdgeColor } from "../GraphBuilder/useGraphFilter";
+import useAttributeColors from "../GraphBuilder/useAttributeColors";
+import LayoutProgress from "../GraphBuilder/components/LayoutProgress";
+import SearchPanel from "../GraphBuilder/components/SearchPanel";
+import ColorByPanel from "../GraphBuilder/components/ColorByPanel";
+import useTourPlayback from "./useTourPlayback";
+import { buildTourLegs, drawTour } from "./tourUtils";
+import TourPlayback from "./components/TourPlayback";
+import RunComparison from "./components/RunComparison";
+import TspJobs from "./components/TspJobs";
+import useTspJobs from "./useTspJobs";
+import { comparisonEdgeStyle, runColor } from "./comparisonUtils";
+import SolverParameters from "./components/SolverParameters";
+import { TSP_ALGORITHMS, describeParameters, parseParameters } from "./tspAlgorithms";
 
 // TODO: GraphBuilder, GraphViewer, and GraphEditor need to be refactored
 
+// The viewer is read-only apart from dragging nodes around
+const viewerOptions = {
+  ...networkOptions,
+  interaction: {
+    hover: true,
+    multiselect: false,
+    dragNodes: true
+  },
+};
+
+// Edges off the selected route, when the graph is too large to make the route out otherwise
+const DIMMED_EDGE_COLOR = "rgba(51, 51, 51, 0.15)";
+
 const GraphViewer = () => {
   const { graphId } = useParams();
+  const { showToast, confirm } = useDialogs();
   const [graph, setGraph] = useState(null);
   const [tspResults, setTspResults] = useState([]);
   const [selectedRun, setSelectedRun] = useState(null);
+  // Ids of the runs ticked for comparison, in the order they were ticked
+  const [comparedRunIds, setComparedRunIds] = useState([]);
   const [loading, setLoading] = useState(true);
   const [algorithm, setAlgorithm] = useState("simulated_annealing");
-  const [runningTsp, setRunningTsp] = useState(false);
+  // The parameters each algorithm accepts, from the backend; null until loaded
+  const [parameterSchema, setParameterSchema] = useState(null);
+  // The parameters entered for each algorithm, kept while switching between them
+  const [parameterValues, setParameterValues] = useState({});
+  const [submittingTsp, setSubmittingTsp] = useState(false);
+  const [layoutProgress, setLayoutProgress] = useState(null);
+  const [datasets, setDatasets] = useState(null);
   const networkContainerRef = useRef(null);
   const networkRef = useRef(null);
+  const { filter, setFilter, matches } = useGraphFilter(datasets?.nodes, datasets?.edges);
+  const { colorBy, setColorBy, attributeKeys, legend } = useAttributeColors(datasets?.nodes);
+  const tspJobs = useTspJobs(graphId, async (job) => {
+    if (job.status === "failed") {
+      showToast(`${TSP_ALGORITHMS[job.algorithm]?.label ?? job.algorithm} failed: ${job.error}`, "error");
+    } else if (job.status === "completed") {
+      try {
+        setTspResults(await fetchTspRuns(graphId));
+      } catch (err) {
+        console.error("Error fetching TSP runs:", err);
+      }
+    }
+  });
 
-  const networkOptions = {
-    layout: {
-      improvedLayout: true,
-      randomSeed: 1,
-      hierarchical: false,
-    },
-    physics: {
-      enabled: true,
-      solver: "forceAtlas2Based",
-      forceAtlas2Based: {
-        gravitationalConstant: -120,
-        centralGravity: 0.005,
-        springLength: 400,
-        springConstant: 0.02,
-        avoidOverlap: 1,
-      },
-      maxVelocity: 50,
-      stabilization: {
-        iterations: 200,
-        fit: true,
-      },
-    },
-    nodes: {
-      shape: "circle",
-      size: 30,
-      font: { size: 14, color: "#000000", align: "middle" },
-      borderWidth: 2,
-      shadow: true,
-    },
-    edges: {
-      width: 2,
-      shadow: true,
-      font: { size: 20, align: "middle" },
-      arrows: {
-        to: { enabled: true, scaleFactor: 1.5, type: "arrow" },
-      },
-      color: "#333",
-      smooth: { type: "curvedCW", roundness: 0.2 },
-    },
-    manipulation: { 
-      enabled: false
-    },
-    interaction: {
-      hover: true,
-      multiselect: false,
-      dragNodes: true
-    },
-  };
+  const comparedRuns = useMemo(
+    () => comparedRunIds.map(id => tspResults.find(run => run.id === id)).filter(Boolean),
+    [comparedRunIds, tspResults]
+  );
+  // Comparing takes over the canvas from the selected run
+  const isComparing = comparedRuns.length >= 2;
+
+  const legs = useMemo(
+    () => (graph && selectedRun?.path
+      ? buildTourLegs(selectedRun.path, graph.graph.edges, graph.graph.directed !== false)
+      : []),
+    [graph, selectedRun]
+  );
+  const playback = useTourPlayback(legs, () => networkRef.current?.redraw());
+  const tourStep = playback.step;
+  // The tour being played back, read by the drawing callback
+  const tour = useRef(null);
+  tour.current = selectedRun?.path && !isComparing
+    ? { path: selectedRun.path, step: playback.step, progress: playback.progress }
+    : null;
 
   useEffect(() => {
     const fetchGraphData = async () => {
-      const token = localStorage.getItem("token");
       try {
-        const res = await fetch(`http://127.0.0.1:5000/api/graphs/${graphId}`, {
-          headers: { Authorization: `Bearer ${token}` },
-        });
-        const data = await res.json();
-        setGraph(data);
-
-        const tspRes = await fetch(`http://127.0.0.1:5000/api/graphs/${graphId}/tsp/runs`, {
-          headers: { Authorization: `Bearer ${token}` },
-        });
-        const tspData = await tspRes.json();
-        setTspResults(tspData);
+        setGraph(await fetchGraph(graphId));
+        setTspResults(await fetchTspRuns(graphId));
       } catch (err) {
         console.error("Error fetching graph data:", err);
       } finally {
@@ -89,82 +108,158 @@ const GraphViewer = () => {
     fetchGraphData();
   }, [graphId]);
 
+  // Without the schema the parameter panel stays hidden and runs use the defaults
   useEffect(() => {
-    if (!graph || loading || !networkContainerRef.current) return;
+    fetchTspParameters()
+      .then(setParameterSchema)
+      .catch(err => console.error("Error fetching TSP parameters:", err));
+  }, []);
 
-    const nodes = graph.graph.nodes.map((node) => ({
-      id: node.label,
-      label: node.label,
-    }));
+  useEffect(() => {
+    if (!graph || loading || !networkContainerRef.current) return;
 
-    const edges = graph.graph.edges.map((edge) => ({
-      id: `${edge.from}-${edge.to}`,
-      from: edge.from,
-      to: edge.to,
-      label: edge.weight?.toString() ?? "",
-    }));
+    const { nodes, edges, directed, physicsFrozen } = deserializeGraph(graph.graph);
+    const isLarge = isLargeGraph(nodes.length);
+    const nodesDataset = new DataSet(nodes);
+    const edgesDataset = new DataSet(edges);
 
-    networkRef.current = new Network(
+    const network = new Network(
       networkContainerRef.current,
-      { nodes, edges },
-      networkOptions
+      { nodes: nodesDataset, edges: edgesDataset },
+      {
+        ...viewerOptions,
+        layout: { ...viewerOptions.layout, improvedLayout: !isLarge },
+        // A frozen layout is shown exactly as it was saved; large graphs are laid out in a worker
+        physics: { ...viewerOptions.physics, enabled: !physicsFrozen && !isLarge }
+      }
     );
-  }, [graph, loading]);
+    network.setOptions(directionOptions(directed));
+    network.setOptions(performanceOptions(isLarge));
+    networkRef.current = network;
+    setDatasets({ nodes: nodesDataset, edges: edgesDataset });
+
+    const placed = getPlacedPositions(nodes);
+    if (!isLarge || Object.keys(placed).length === nodes.length) return;
+
+    setLayoutProgress(0);
+    const job = layoutInWorker(nodes.map(node => node.id), edges, placed, setLayoutProgress);
+    job.promise
+      .then(positions => {
+        setLayoutProgress(null);
+        nodesDataset.update(Object.keys(positions).map(nodeId => ({ id: nodeId, ...positions[nodeId] })));
+        network.fit();
+      })
+      .catch(err => {
+        console.error("Error laying out graph:", err);
+        setLayoutProgress(null);
+        showToast("Failed to lay out the graph", "error");
+      });
+
+    return () => {
+      job.cancel();
+      setLayoutProgress(null);
+    };
+  }, [graph, loading, showToast]);
 
-  // Only update edge styles when selectedRun changes, not the entire network
+  // Only update edge styles when the runs shown or the playback step change, not the entire network
   useEffect(() => {
-    if (!graph || !networkRef.current) return;
-
-    // Get the edges dataset from the network
-    const edgesDataset = networkRef.current.body.data.edges;
-    
-    // First, reset all edges to default style
-    graph.graph.edges.forEach(edge => {
-      const edgeId = `${edge.from}-${edge.to}`;
-      if (edgesDataset.get(edgeId)) {
-        edgesDataset.update({
-          id: edgeId,
-          color: "#333",
-          width: 2
-        });
-      }
-    });
+    if (!graph || !datasets) return;
 
-    // Then highlight the path edges if a run is selected
-    if (selectedRun?.path) {
-      for (let i = 0; i < selectedRun.path.length - 1; i++) {
-        const from = selectedRun.path[i];
-        const to = selectedRun.path[i + 1];
+    const edgesDataset = datasets.edges;
+    const directed = graph.graph.directed !== false;
+    const isLarge = isLargeGraph(graph.graph.nodes.length);
+
+    // The ids of the edges a path runs along
+    const findPathEdges = (path) => {
+      const pathEdgeIds = new Set();
+      for (let i = 0; i < path.length - 1; i++) {
+        const from = path[i];
+        const to = path[i + 1];
         const edgeId = `${from}-${to}`;
-        
+        // The step may run along an edge drawn the other way if that edge goes both ways
+        const pathEdge = findEdgeBetween(edgesDataset, from, to, directed);
+
         // Check if this edge exists in our dataset
-        if (edgesDataset.get(edgeId)) {
-          edgesDataset.update({
-            id: edgeId,
-            color: "#ff0000",
-            width: 4
-          });
+        if (pathEdge) {
+          pathEdgeIds.add(pathEdge.id);
         } else {
           // If edge doesn't exist in the current direction, it might be a directed graph
           // We need to add this edge to visualize the complete path
           const matchingEdge = graph.graph.edges.find(
             (e) => e.from === from && e.to === to
           );
-          
+
           edgesDataset.add({
             id: edgeId,
             from: from,
             to: to,
             label: matchingEdge?.weight?.toString() ?? "",
             arrows: { to: { enabled: true, scaleFactor: 1.5 } },
-            color: "#ff0000",
-            width: 4,
             font: { size: 14, align: "middle", color: "#000000" },
           });
+          pathEdgeIds.add(edgeId);
         }
       }
+      return pathEdgeIds;
+    };
+
+    const isHighlighting = isComparing || Boolean(selectedRun);
+    const defaultStyle = {
+      color: isLarge && isHighlighting ? DIMMED_EDGE_COLOR : "#333",
+      width: isLarge ? 1 : 2,
+      dashes: false
+    };
+
+    let styleOf;
+    if (isComparing) {
+      // Each edge is styled by which of the compared runs travel it
+      const runEdgeIds = comparedRuns.map(run => findPathEdges(run.path));
+      styleOf = (edgeId) => {
+        const runIndexes = runEdgeIds.flatMap((edgeIds, index) => (edgeIds.has(edgeId) ? [index] : []));
+        return comparisonEdgeStyle(runIndexes, comparedRuns.length) ?? defaultStyle;
+      };
+    } else {
+      // Highlight the legs travelled so far, which is the whole path unless playback stepped back
+      const pathEdgeIds = findPathEdges(selectedRun?.path ? selectedRun.path.slice(0, tourStep + 1) : []);
+      styleOf = (edgeId) => (pathEdgeIds.has(edgeId) ? { color: "#ff0000", width: 4, dashes: false } : defaultStyle);
     }
-  }, [selectedRun, graph]);
+
+    // Restyle only the edges whose style changes, as this runs at every step of a playback.
+    // Colors are compared and set without touching the opacity a filter dims edges with.
+    const currentStyle = (edge, key) => (key === "color" ? edgeColorOf(edge.color) : edge[key]);
+    edgesDataset.update(
+      edgesDataset.get()
+        .map(edge => ({ edge, style: styleOf(edge.id) }))
+        .filter(({ edge, style }) => Object.keys(style).some(key => String(currentStyle(edge, key)) !== String(style[key])))
+        .map(({ edge, style }) => ({
+          id: edge.id,
+          ...style,
+          color: fadeEdgeColor(style.color, edgeOpacityOf(edge.color))
+        }))
+    );
+    networkRef.current?.redraw();
+  }, [selectedRun, graph, datasets, tourStep, isComparing, comparedRuns]);
+
+  // Draw the visit numbers and the marker of the tour being played back
+  useEffect(() => {
+    const network = networkRef.current;
+    if (!network) return;
+
+    const draw = (ctx) => {
+      if (!tour.current) return;
+      const { path, step, progress } = tour.current;
+      drawTour(ctx, network, { path, step, progress: progress.current });
+    };
+
+    network.on("afterDrawing", draw);
+    return () => network.off("afterDrawing", draw);
+  }, [datasets]);
+
+  const focusNode = (nodeId) => {
+    if (!networkRef.current) return;
+    networkRef.current.selectNodes([nodeId]);
+    networkRef.current.focus(nodeId, { scale: 1, animation: viewAnimation });
+  };
 
   const handleTspRunClick = (result) => {
     if (selectedRun?.id === result.id) {
@@ -174,51 +269,49 @@ const GraphViewer = () => {
     }
   };
 
+  const toggleCompared = (id) => {
+    setComparedRunIds((prev) => (prev.includes(id) ? prev.filter((runId) => runId !== id) : [...prev, id]));
+  };
+
+  // The run shows up in the list once its job completes
   const handleRunTsp = async () => {
-    const token = localStorage.getItem("token");
-    setRunningTsp(true);
+    setSubmittingTsp(true);
     try {
-      const res = await fetch(`http://127.0.0.1:5000/api/graphs/${graphId}/tsp?algo=${algorithm}`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      const data = await res.json();
-  
-      if (res.ok) {
-        // After running TSP, fetch updated TSP results with real IDs
-        const tspRes = await fetch(`http://127.0.0.1:5000/api/graphs/${graphId}/tsp/runs`, {
-          headers: { Authorization: `Bearer ${token}` },
-        });
-        const tspData = await tspRes.json();
-        setTspResults(tspData);
-      } else {
-        alert(data.error || "Failed to run TSP.");
-      }
+      await tspJobs.submit(algorithm, parseParameters(parameterValues[algorithm] ?? {}, parameterSchema?.[algorithm] ?? {}));
     } catch (err) {
       console.error("Error running TSP:", err);
+      showToast(err.message || "Failed to run TSP.", "error");
     } finally {
-      setRunningTsp(false);
+      setSubmittingTsp(false);
+    }
+  };
+
+  const handleCancelTspJob = async (jobId) => {
+    try {
+      await tspJobs.cancel(jobId);
+    } catch (err) {
+      console.error("Error cancelling TSP job:", err);
+      showToast(err.message || "Failed to cancel TSP job.", "error");
     }
   };
 
   const handleDeleteTspRun = async (id) => {
-    const token = localStorage.getItem("token");
-    if (!window.confirm("Are you sure you want to delete this TSP run?")) return;
+    const confirmed = await confirm("Are you sure you want to delete this TSP run?", {
+      title: "Delete TSP Run",
+      confirmLabel: "Delete",
+      danger: true
+    });
+    if (!confirmed) return;
     try {
-      const res = await fetch(`http://127.0.0.1:5000/api/graphs/${graphId}/tsp/runs/${id}`, {
-        method: "DELETE",
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      if (res.ok) {
-        setTspResults((prev) => prev.filter((run) => run.id !== id));
-        if (selectedRun?.id === id) {
-          setSelectedRun(null);
-        }
-      } else {
-        const data = await res.json();
-        alert(data.error || "Failed to delete TSP run.");
+      await deleteTspRun(graphId, id);
+      setTspResults((prev) => prev.filter((run) => run.id !== id));
+      if (selectedRun?.id === id) {
+        setSelectedRun(null);
       }
+      setComparedRunIds((prev) => prev.filter((runId) => runId !== id));
     } catch (err) {
       console.error("Error deleting TSP run:", err);
+      showToast(err.message || "Failed to delete TSP run.", "error");
     }
   };  
 
@@ -228,38 +321,91 @@ const GraphViewer = () => {
   return (
     <div className="flex flex-row gap-8 h-[90vh]">
       {/* Graph Area */}
-      <div className="flex-grow">
+      <div className="flex-grow relative">
         <div
           ref={networkContainerRef}
           className="bg-white shadow-md rounded w-full h-full border border-gray-300"
         />
+        {layoutProgress !== null && <LayoutProgress progress={layoutProgress} />}
       </div>
 
       {/* TSP Results Panel */}
       <div className="w-96 flex-shrink-0 overflow-y-auto h-full flex flex-col">
         <div className="mb-4">
-          <h3 className="text-xl font-semibold mb-2">Run New TSP</h3>
+          <h3 className="text-xl font-semibold mb-2">Export Graph</h3>
+          <ExportMenu getGraphData={() => graph.graph} fileName={graph.name} />
+        </div>
+
+        <div className="mb-4">
+          <SearchPanel
+            networkNodes={datasets?.nodes}
+            focusNode={focusNode}
+            filter={filter}
+            setFilter={setFilter}
+            matches={matches}
+          />
+        </div>
+
+        <div className="mb-4">
+          <ColorByPanel
+            colorBy={colorBy}
+            setColorBy={setColorBy}
+            attributeKeys={attributeKeys}
+            legend={legend}
+          />
+        </div>
+
+        <div className="mb-4">
+          <div className="flex justify-between items-baseline mb-2">
+            <h3 className="text-xl font-semibold">Run New TSP</h3>
+            <Link to={`/graphs/${graphId}/benchmark`} className="text-blue-600 hover:underline text-sm">
+              Benchmark algorithms
+            </Link>
+          </div>
           <div className="flex flex-col gap-2">
             <select
               className="border rounded p-2"
               value={algorithm}
               onChange={(e) => setAlgorithm(e.target.value)}
             >
-              <option value="simulated_annealing">Simulated Annealing</option>
-              <option value="threshold_accepting">Threshold Accepting</option>
-              <option value="greedy">Greedy</option>
-              <option value="asadpour">Asadpour (Very slow, but more accurate)</option>
+              {Object.entries(TSP_ALGORITHMS).map(([id, { label, note }]) => (
+                <option key={id} value={id}>{note ? `${label} (${note})` : label}</option>
+              ))}
             </select>
+            {parameterSchema?.[algorithm] && (
+              <SolverParameters
+                schema={parameterSchema[algorithm]}
+                values={parameterValues[algorithm] ?? {}}
+                onChange={(values) => setParameterValues((prev) => ({ ...prev, [algorithm]: values }))}
+                nodeIds={graph.graph.nodes.map((node) => node.label)}
+              />
+            )}
             <button
               onClick={handleRunTsp}
-              disabled={runningTsp}
+              disabled={submittingTsp}
               className="bg-blue-500 hover:bg-blue-600 text-white p-2 rounded disabled:opacity-50"
             >
-              {runningTsp ? "Running..." : "Run TSP"}
+              {submittingTsp ? "Submitting..." : "Run TSP"}
             </button>
           </div>
         </div>
 
+        {tspJobs.jobs.length > 0 && (
+          <div className="mb-4">
+            <TspJobs jobs={tspJobs.jobs} onCancel={handleCancelTspJob} />
+          </div>
+        )}
+
+        {isComparing ? (
+          <div className="mb-4">
+            <RunComparison runs={comparedRuns} onClear={() => setComparedRunIds([])} />
+          </div>
+        ) : selectedRun?.path && (
+          <div className="mb-4">
+            <TourPlayback legs={legs} totalCost={selectedRun.cost} playback={playback} />
+          </div>
+        )}
+
         <div>
           <h3 className="text-xl font-semibold mb-2">TSP Runs</h3>
           {tspResults.length === 0 ? (
@@ -286,9 +432,29 @@ const GraphViewer = () => {
                   <p><strong>Algorithm:</strong> {result.algorithm}</p>
                   <p><strong>Cost:</strong> {result.cost.toFixed(2)}</p>
                   <p><strong>Duration:</strong> {result.time_to_calculate.toFixed(2)}s</p>
+                  {describeParameters(result.parameters) && (
+                    <p><strong>Parameters:</strong> {describeParameters(result.parameters)}</p>
+                  )}
                   <p><strong>Created:</strong> {new Date(result.created_at).toLocaleDateString()}</p>
                   <p><strong>Path Length:</strong> {result.path.length - 1}</p>
                   <p><strong>Path:</strong> {result.path.join(" → ")}</p>
+                  <label
+                    className="flex items-center gap-2 mt-2"
+                    onClick={(e) => e.stopPropagation()} // ticking doesn't select the run
+                  >
+                    <input
+                      type="checkbox"
+                      checked={comparedRunIds.includes(result.id)}
+                      onChange={() => toggleCompared(result.id)}
+                    />
+                    Compare
+                    {isComparing && comparedRuns.includes(result) && (
+                      <span
+                        className="inline-block w-6 border-t-4"
+                        style={{ borderColor: runColor(comparedRuns.indexOf(result)) }}
+                      />
+                    )}
+                  </label>
                 </li>
               ))}
             </ul>
@@ -0,0 +1,91 @@
+import { getEdgeId } from "../GraphBuilder/graphUtils";
+
+// Most visit numbers written next to one node before the rest are elided
+const MAX_BADGE_VISITS = 4;
+
+/**
+ * Break a TSP run's path into legs, with the weight of each and the cost so far.
+ * The path repeats nodes where the solver routed through them to reach the next stop.
+ * @param {Array<string>} path - The nodes in the order visited, back to the start at the end
+ * @param {Array} edges - The stored graph.data edges
+ * @param {boolean} directed - Whether the graph is directed
+ * @returns {Array} - [{ from, to, weight, cost }]; weight is null if the graph has no such edge
+ */
+export const buildTourLegs = (path, edges, directed) => {
+  const weights = new Map();
+  edges.forEach(edge => {
+    weights.set(getEdgeId(edge.from, edge.to), edge.weight);
+    if (!directed || edge.bidirectional) {
+      const reverseId = getEdgeId(edge.to, edge.from);
+      if (!weights.has(reverseId)) weights.set(reverseId, edge.weight);
+    }
+  });
+
+  let cost = 0;
+  return path.slice(1).map((to, index) => {
+    const from = path[index];
+    const weight = weights.get(getEdgeId(from, to)) ?? null;
+    cost += weight ?? 0;
+    return { from, to, weight, cost };
+  });
+};
+
+/**
+ * Number the visits made in the first legs of a tour, starting at 1
+ * @param {Array<string>} path - The nodes in the order visited
+ * @param {number} step - How many legs have been travelled
+ * @returns {Map} - Node id to the numbers of its visits so far
+ */
+export const getVisitNumbers = (path, step) => {
+  const visits = new Map();
+  path.slice(0, step + 1).forEach((nodeId, index) => {
+    visits.set(nodeId, [...(visits.get(nodeId) ?? []), index + 1]);
+  });
+  return visits;
+};
+
+/**
+ * Draw the playback on top of the network: the visit numbers beside each node
+ * visited so far, and a marker part way along the current leg
+ * @param {CanvasRenderingContext2D} ctx - The network's canvas, in canvas coordinates
+ * @param {Object} network - The vis.js network
+ * @param {Object} tour - { path, step, progress }: progress is how far along leg step the marker is, in [0, 1)
+ */
+export const drawTour = (ctx, network, { path, step, progress }) => {
+  const visits = getVisitNumbers(path, step);
+  const positions = network.getPositions([...new Set(path)]);
+
+  ctx.save();
+  ctx.font = "bold 13px sans-serif";
+  ctx.textBaseline = "middle";
+  visits.forEach((numbers, nodeId) => {
+    if (!positions[nodeId]) return;
+    const box = network.getBoundingBox(nodeId);
+    const text = numbers.length > MAX_BADGE_VISITS
+      ? `${numbers.slice(0, MAX_BADGE_VISITS).join(", ")}, ...`
+      : numbers.join(", ");
+    const width = ctx.measureText(text).width + 10;
+    const x = box.right - 6;
+    const y = box.top;
+
+    ctx.fillStyle = "#1d4ed8";
+    ctx.beginPath();
+    ctx.roundRect(x, y - 10, width, 20, 10);
+    ctx.fill();
+    ctx.fillStyle = "#ffffff";
+    ctx.fillText(text, x + 5, y);
+  });
+
+  const from = positions[path[step]];
+  const to = positions[path[Math.min(step + 1, path.length - 1)]];
+  if (from && to) {
+    ctx.fillStyle = "#f97316";
+    ctx.strokeStyle = "#ffffff";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(from.x + (to.x - from.x) * progress, from.y + (to.y - from.y) * progress, 11, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.stroke();
+  }
+  ctx.restore();
+};
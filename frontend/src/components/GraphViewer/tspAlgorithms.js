@@ -0,0 +1,49 @@
+// Display names for the solver parameters and their options. Which parameters each
+// algorithm takes, their defaults and the values they accept come from the backend.
+// A parameter left blank takes the algorithm's default; a blank seed is random and a
+// blank start node lets the solver pick.
+export const TSP_PARAMETERS = {
+  max_iterations: { label: "Iterations" },
+  N_inner: { label: "Inner loops" },
+  temp: { label: "Temperature" },
+  threshold: { label: "Threshold" },
+  alpha: { label: "Alpha" },
+  init_cycle: { label: "Initial cycle", options: { greedy: "Greedy", random: "Random" } },
+  seed: { label: "Random seed" },
+  source: { label: "Start node" },
+};
+
+// The solvers the backend's /tsp route accepts, keyed by the name it expects
+export const TSP_ALGORITHMS = {
+  simulated_annealing: { label: "Simulated Annealing" },
+  threshold_accepting: { label: "Threshold Accepting" },
+  greedy: { label: "Greedy" },
+  asadpour: { label: "Asadpour", note: "Very slow, but more accurate" },
+};
+
+/**
+ * The parameters a run was made with, for display
+ * @param {Object|null} parameters - A TSP run's parameters, null for runs from before they were stored
+ * @returns {string} - e.g. "Iterations 500, Random seed 7", or "" if there are none
+ */
+export const describeParameters = (parameters) =>
+  Object.entries(parameters ?? {})
+    .filter(([, value]) => value !== null)
+    .map(([name, value]) => {
+      const { label, options } = TSP_PARAMETERS[name] ?? { label: name };
+      return `${label} ${options?.[value] ?? value}`;
+    })
+    .join(", ");
+
+/**
+ * The parameters to send with a TSP request, from what was entered in the parameter panel
+ * @param {Object} values - Parameter name to the text entered; blank ones are left out
+ * @param {Object} schema - The algorithm's parameters, as from fetchTspParameters
+ * @returns {Object} - Parameter name to value, numbers parsed
+ */
+export const parseParameters = (values, schema) =>
+  Object.fromEntries(
+    Object.entries(values)
+      .filter(([, value]) => value !== "")
+      .map(([name, value]) => [name, ["integer", "number"].includes(schema[name]?.type) ? Number(value) : value])
+  );
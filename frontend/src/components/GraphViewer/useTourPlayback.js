@@ -0,0 +1,90 @@
+import { useState, useEffect, useRef } from "react";
+
+// Legs travelled per second, unless the speed slider says otherwise
+export const DEFAULT_SPEED = 2;
+
+/**
+ * Step-by-step playback of a tour. The step is how many legs have been travelled;
+ * a new tour starts at its last step, showing the whole route. While playing, the
+ * marker's progress along the current leg is kept in a ref and redraw is called
+ * every frame, so the page doesn't re-render at the frame rate.
+ * @param {Array} legs - The legs of the tour, from buildTourLegs
+ * @param {Function} redraw - Redraws the canvas
+ * @returns {Object} - { step, progress, playing, speed, setSpeed, play, pause, seek, stepForward, stepBack }
+ */
+const useTourPlayback = (legs, redraw) => {
+  const [step, setStep] = useState(legs.length);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(DEFAULT_SPEED);
+  // How far along the current leg the marker is, in [0, 1)
+  const progress = useRef(0);
+  const stepRef = useRef(step);
+  stepRef.current = step;
+  const redrawRef = useRef(redraw);
+  redrawRef.current = redraw;
+
+  // Show the whole of a newly picked tour
+  useEffect(() => {
+    setStep(legs.length);
+    setPlaying(false);
+    progress.current = 0;
+  }, [legs]);
+
+  useEffect(() => {
+    if (!playing) return;
+    let frame = null;
+    let last = null;
+
+    const tick = (now) => {
+      if (last !== null) progress.current += ((now - last) / 1000) * speed;
+      last = now;
+
+      if (progress.current >= 1) {
+        progress.current = 0;
+        const next = stepRef.current + 1;
+        stepRef.current = next;
+        setStep(next);
+        if (next >= legs.length) {
+          setPlaying(false);
+          redrawRef.current();
+          return;
+        }
+      }
+      redrawRef.current();
+      frame = requestAnimationFrame(tick);
+    };
+
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, legs]);
+
+  const seek = (target) => {
+    progress.current = 0;
+    setStep(Math.max(0, Math.min(legs.length, target)));
+  };
+
+  // Playing from the end starts over
+  const play = () => {
+    if (legs.length === 0) return;
+    if (step >= legs.length) seek(0);
+    setPlaying(true);
+  };
+
+  const pause = () => {
+    setPlaying(false);
+  };
+
+  const stepForward = () => {
+    pause();
+    seek(step + 1);
+  };
+
+  const stepBack = () => {
+    pause();
+    seek(step - 1);
+  };
+
+  return { step, progress, playing, speed, setSpeed, play, pause, seek, stepForward, stepBack };
+};
+
+export default useTourPlayback;
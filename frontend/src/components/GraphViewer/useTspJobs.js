@@ -0,0 +1,115 @@
+import { useState, useEffect, useRef } from "react";
+
+import { submitTspJob, fetchTspJobs, fetchTspJob, cancelTspJob } from "../../api/graphs";
+import { NotFoundError } from "../../api/client";
+
+// How often the unfinished jobs are checked on, in milliseconds
+const POLL_INTERVAL = 1000;
+// A job is given up on after this many failed checks in a row...
+const MAX_POLL_ERRORS = 5;
+// ...or once it has been watched this long, in milliseconds
+const MAX_POLL_TIME = 30 * 60 * 1000;
+
+const ACTIVE_STATUSES = ["queued", "running"];
+
+/**
+ * The graph's queued and running TSP jobs, kept up to date by polling. Jobs live on
+ * the backend, so ones started before the page was left are picked up again. A job
+ * that can't be checked on, or runs too long, is reported as failed and no longer polled.
+ * @param {number|string} graphId - The graph the jobs solve
+ * @param {Function} onFinish - Called with each job that completes, fails or is cancelled elsewhere
+ * @returns {Object} - { jobs, submit, cancel }; submit and cancel throw if the request fails
+ */
+const useTspJobs = (graphId, onFinish) => {
+  const [jobs, setJobs] = useState([]);
+  const jobsRef = useRef(jobs);
+  jobsRef.current = jobs;
+  const onFinishRef = useRef(onFinish);
+  onFinishRef.current = onFinish;
+
+  useEffect(() => {
+    let stopped = false;
+    fetchTspJobs(graphId)
+      .then(active => {
+        if (!stopped) setJobs(active);
+      })
+      .catch(err => console.error("Error fetching TSP jobs:", err));
+    return () => {
+      stopped = true;
+    };
+  }, [graphId]);
+
+  // When each job started being watched and how many checks on it failed in a row, by id
+  const watches = useRef(new Map());
+
+  const hasJobs = jobs.length > 0;
+  useEffect(() => {
+    if (!hasJobs) return;
+    let stopped = false;
+    let timer = null;
+
+    const giveUp = (job, error) => ({ ...job, status: "failed", error });
+
+    const check = async (job) => {
+      if (!watches.current.has(job.id)) watches.current.set(job.id, { since: Date.now(), errors: 0 });
+      const watch = watches.current.get(job.id);
+      if (Date.now() - watch.since > MAX_POLL_TIME) {
+        return giveUp(job, `Stopped waiting after ${MAX_POLL_TIME / 60000} minutes; reload the page to check on it again`);
+      }
+
+      try {
+        const updated = await fetchTspJob(graphId, job.id);
+        watch.errors = 0;
+        return updated;
+      } catch (err) {
+        // A job deleted along with its graph is as good as cancelled
+        if (err instanceof NotFoundError) return { ...job, status: "cancelled" };
+        console.error("Error checking TSP job:", err);
+        watch.errors++;
+        return watch.errors >= MAX_POLL_ERRORS ? giveUp(job, "Lost contact with the server") : job;
+      }
+    };
+
+    const poll = async () => {
+      const updated = await Promise.all(jobsRef.current.map(check));
+      if (stopped) return;
+
+      // Jobs cancelled from this page while the poll was out have already been dropped
+      const tracked = new Set(jobsRef.current.map(job => job.id));
+      const current = updated.filter(job => tracked.has(job.id));
+      const byId = new Map(current.map(job => [job.id, job]));
+      setJobs(prev => prev
+        .map(job => byId.get(job.id) ?? job)
+        .filter(job => ACTIVE_STATUSES.includes(job.status)));
+      current
+        .filter(job => !ACTIVE_STATUSES.includes(job.status))
+        .forEach(job => {
+          watches.current.delete(job.id);
+          onFinishRef.current(job);
+        });
+
+      timer = setTimeout(poll, POLL_INTERVAL);
+    };
+
+    timer = setTimeout(poll, POLL_INTERVAL);
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [graphId, hasJobs]);
+
+  const submit = async (algorithm, parameters) => {
+    const job = await submitTspJob(graphId, algorithm, parameters);
+    setJobs(prev => [...prev, job]);
+  };
+
+  const cancel = async (jobId) => {
+    await cancelTspJob(graphId, jobId);
+    watches.current.delete(jobId);
+    setJobs(prev => prev.filter(job => job.id !== jobId));
+  };
+
+  return { jobs, submit, cancel };
+};
+
+export default useTspJobs;
@@ -1,37 +1,38 @@
 import { useState } from "react";
-import { useNavigate, Link, useLocation } from "react-router-dom";
+import { useNavigate, Link, useLocation, Navigate } from "react-router-dom";
 
-const Login = ({ setIsLoggedIn }) => {
+import { login } from "../../api/auth";
+import { useAuth } from "../Auth/authContext";
+
+const Login = () => {
   const location = useLocation();
+  const { isLoggedIn, login: startSession } = useAuth();
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
   const [successMessage, setSuccessMessage] = useState(location.state?.successMessage || "");
   const navigate = useNavigate();
 
+  // Return to the page that sent us here, if any
+  const from = location.state?.from;
+  const redirectTo = from ? `${from.pathname}${from.search || ""}` : "/builder";
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError("");
     setSuccessMessage("");
 
     try {
-      const res = await fetch("http://127.0.0.1:5000/api/login", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ username, password }),
-      });
-
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.message || "Login failed");
-
-      localStorage.setItem("token", data.access_token);
-      setIsLoggedIn(true);
-      navigate("/graphs");
+      const { access_token } = await login(username, password);
+      startSession(access_token);
+      navigate(redirectTo, { replace: true });
     } catch (err) {
-      setError(err.message);
+      setError(err.message || "Login failed");
     }
   };
 
+  if (isLoggedIn) return <Navigate to={redirectTo} replace />;
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-100 px-4">
       <div className="bg-white p-8 rounded-2xl shadow-md w-full max-w-md">
@@ -1,71 +1,64 @@
 import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
 
+import { useDialogs } from "../Dialogs/dialogContext";
+import { fetchGraphIds, fetchGraph, deleteGraph } from "../../api/graphs";
+
 const MyGraphs = () => {
   const [graphs, setGraphs] = useState([]);
   const [loading, setLoading] = useState(true);
   const navigate = useNavigate();
+  const { showToast, confirm } = useDialogs();
 
-  const fetchGraphs = async () => {
-    const token = localStorage.getItem("token");
-    try {
-      const res = await fetch("http://127.0.0.1:5000/api/graphs", {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
-
-      const { graph_ids } = await res.json();
+  useEffect(() => {
+    const fetchGraphs = async () => {
+      try {
+        const graphIds = await fetchGraphIds();
 
-      const graphDetails = await Promise.all(
-        graph_ids.map(async (id) => {
-          const detailRes = await fetch(`http://127.0.0.1:5000/api/graphs/${id}`, {
-            headers: {
-              Authorization: `Bearer ${token}`,
-            },
-          });
+        const graphDetails = await Promise.all(
+          graphIds.map(async (id) => {
+            const data = await fetchGraph(id);
+            return {
+              id: data.id,
+              name: data.name,
+              num_nodes: data.graph.nodes.length,
+              num_edges: data.graph.edges.length,
+              created_at: data.created_at,
+              updated_at: data.updated_at
+            };
+          })
+        );
 
-          const data = await detailRes.json();
-          return {
-            id: data.id,
-            name: data.name,
-            num_nodes: data.graph.nodes.length,
-            num_edges: data.graph.edges.length,
-            created_at: data.created_at,
-            updated_at: data.updated_at
-          };
-        })
-      );
+        setGraphs(graphDetails);
+      } catch (err) {
+        console.error("Failed to fetch graphs:", err);
+        showToast(err.message || "Failed to load graphs.", "error");
+      } finally {
+        setLoading(false);
+      }
+    };
 
-      setGraphs(graphDetails);
-    } catch (err) {
-      console.error("Failed to fetch graphs:", err);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  useEffect(() => {
     fetchGraphs();
-  }, []);
+  }, [showToast]);
 
   const handleView = (id) => {
     navigate(`/graphs/${id}`);
   };
 
   const handleDelete = async (id) => {
-    const token = localStorage.getItem("token");
-    if (!window.confirm("Are you sure you want to delete this graph?")) return;
+    const confirmed = await confirm("Are you sure you want to delete this graph?", {
+      title: "Delete Graph",
+      confirmLabel: "Delete",
+      danger: true
+    });
+    if (!confirmed) return;
     try {
-      await fetch(`http://127.0.0.1:5000/api/graphs/${id}`, {
-        method: "DELETE",
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
+      await deleteGraph(id);
       setGraphs(graphs.filter((g) => g.id !== id));
+      showToast("Graph deleted.", "success");
     } catch (err) {
       console.error("Failed to delete graph:", err);
+      showToast("Failed to delete graph.", "error");
     }
   };
 
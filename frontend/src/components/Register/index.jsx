@@ -1,6 +1,8 @@
 import { useState } from "react";
 import { useNavigate, Link } from "react-router-dom";
 
+import { register } from "../../api/auth";
+
 const Register = () => {
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
@@ -12,18 +14,11 @@ const Register = () => {
     setError("");
 
     try {
-      const res = await fetch("http://127.0.0.1:5000/api/register", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ username, password }),
-      });
-
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.message || "Registration failed");
+      await register(username, password);
 
       navigate("/", { state: { successMessage: "Account created successfully!" } });
     } catch (err) {
-      setError(err.message);
+      setError(err.message || "Registration failed");
     }
   };
 